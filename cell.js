@@ -5,40 +5,121 @@
  * Each cell tracks its crop, growth state, environmental conditions, and crop history.
  */
 
-import { crops } from './crops.js';
+import { crops, getCropById, getGrowthStage, isCoverCrop, isPerennial, getPerennialYieldFactor, getChillYieldFactor, getHarvestQuality, getQualityGrade, isCashCrop, hasMultiplePickings } from './crops.js';
+import { calculateGDD } from './weather.js';
+import { MAX_PEST_PRESSURE, getPestById, isPestHost, controlWorksOn } from './pests.js';
+import { getFeatureById } from './landscape.js';
+import {
+    SOIL_WATER, IRRIGATION_DEPTH, getSoilWater, addSoilWater, dailyWaterBalance, calculateWaterYieldFactor,
+    NUTRIENTS, INITIAL_NUTRIENTS, HARVEST_NUTRIENT_REMOVAL,
+    calculateNutrientSufficiency, takeUpNutrients,
+    LEACHING_SOIL_DAMAGE, getMobileNitrogen, getDrainageLeachingShare, getAvailableMineralizedNitrogen,
+    SOIL_ORGANIC_MATTER, SOIL_STRUCTURE, COMPOST, getFieldCapacity, decomposeOrganicMatter, calculateSoilHealth,
+    MULCH_C_FACTOR, getSoilErodibility, calculateSlopeFactor, getContourFactor, calculateSoilLoss,
+    getTopsoilShare, calculateErosionYieldFactor,
+    SOIL_SALINITY, LEACHING_IRRIGATION_DEPTH, getSalinityFromWater, getSaltLeachingShare, calculateSalinityYieldFactor,
+    FALLOW_TYPES, recoverFallowNutrients
+} from './soils.js';
 
 // Cell class definition
 export class Cell {
     constructor() {
         this.crop = crops[0]; // Empty plot by default
-        this.waterLevel = 80;
-        this.soilHealth = 90;
+
+        // Soil organic matter (% by weight) and structure (0-100); together with the
+        // nutrient pools they make up `soilHealth`
+        this.organicMatter = SOIL_ORGANIC_MATTER.initial;
+        this.soilStructure = SOIL_STRUCTURE.initial;
+
+        // Land and erosion: soil type (see SOIL_TYPES), slope (%), elevation (ft), whether the plot
+        // lies in the creek's flood zone, whether rows follow the contour, and topsoil lost so far
+        // and in the latest rain (tons/acre). New farms get their land from terrain.js.
+        this.soilType = 'loam';
+        this.slope = 2;
+        this.elevation = 0;
+        this.floodZone = false;
+        this.contourFarming = false;
+        this.topsoilLost = 0;
+        this.lastSoilLoss = 0;
+        this.surfaceMulch = false; // Residue of a terminated cover crop left on the surface
+
+        // Fallow: how an empty plot is kept (see FALLOW_TYPES), how long it has rested,
+        // and whether it is enrolled in the water district's fallowing agreement
+        this.fallowType = 'bare';
+        this.fallowDays = 0;
+        this.fallowAgreement = false;
+
+        // Root-zone soil water in mm (see soils.js); `waterLevel` is this as a % of field capacity
+        this.soilMoisture = 0.8 * SOIL_WATER.fieldCapacity;
+        this.waterLosses = { et: 0, drainage: 0, runoff: 0 }; // Today's losses (mm)
+
+        // Root-zone salinity (ECe, dS/m) and its GDD-weighted season sum for the yield
+        this.salinity = SOIL_SALINITY.initial;
+        this.seasonSalinity = 0;
+
+        // Season totals of actual vs. unstressed crop ET (mm, weighted by stage sensitivity)
+        // for the FAO water-yield relation
+        this.seasonActualET = 0;
+        this.seasonMaximumET = 0;
+
+        // Plant-available nutrient pools (lb/acre, see soils.js) and what the current crop has taken up
+        this.nutrients = { ...INITIAL_NUTRIENTS };
+        this.cropNutrients = emptyNutrients();
+        this.nitrateLeached = 0; // Nitrogen washed out of the root zone today (lb/acre)
+        this.seasonNitrateLeached = 0; // ... and since the last seasonal report
+
+        // Season-long nutrient supply, as the GDD-weighted sum of daily sufficiency, for the yield
+        this.seasonNutrientSupply = 0;
+        this.seasonNutrientDemand = 0;
+
         this.growthProgress = 0;
         this.daysSincePlanting = 0;
-        this.fertilized = false;
+        this.accumulatedGDD = 0; // Raw degree-days since planting (before water/soil factors)
         this.irrigated = false;
         this.harvestReady = false;
+        this.daysHarvestReady = 0; // Days the crop has been waiting for harvest
         this.expectedYield = 0;
+
+        // Orchards and vineyards: days since planting, and whether they are dormant between seasons
+        this.perennialAge = 0;
+        this.dormant = false;
+        this.chillYieldFactor = 1; // Share of yield the last winter's chill allows
+
+        // Strawberries, lettuce: pickings already taken from the current planting
+        this.pickingsTaken = 0;
         
         // Track crop history to implement monocropping penalties
         this.cropHistory = [];
         this.consecutivePlantings = 0;
         this.pestPressure = 0;
+        this.pestId = null; // Named pest or disease infesting the plot (see pests.js)
+        this.beneficialDays = 0; // Days released beneficial insects keep working
+        this.hedgerow = false; // Hedgerow along the plot sheltering predators
+        this.feature = null; // Landscape feature the plot is given over to (see landscape.js)
     }
 
-    // Plant a new crop
-    plant(newCrop) {
+    // Plant a new crop. Unless the farm practices no-till, preparing the seedbed
+    // burns off some organic matter.
+    plant(newCrop, { noTill = false } = {}) {
+        // Planting straight into a cover crop works it into the seedbed (tillage follows below)
+        if (isCoverCrop(this.crop)) {
+            this.terminateCoverCrop({ incorporate: true, noTill: true });
+        }
+        this.surfaceMulch = false;
+
         // Remember previous crop if not empty
         if (this.crop.id !== 'empty') {
-            this.cropHistory.push({
-                id: this.crop.id,
-                duration: this.daysSincePlanting
+            this.rememberCrop();
+
+            // An unharvested crop is plowed under and returns its nutrients and biomass
+            NUTRIENTS.forEach(nutrient => {
+                this.nutrients[nutrient] += this.cropNutrients[nutrient];
             });
-            
-            // Keep history at reasonable size
-            if (this.cropHistory.length > 10) {
-                this.cropHistory.shift();
-            }
+            this.addResidue(this.crop.residue * Math.min(1, this.growthProgress / 100));
+        }
+
+        if (!noTill) {
+            this.organicMatter = Math.max(0, this.organicMatter - SOIL_ORGANIC_MATTER.tillageLoss);
         }
         
         // Check if planting the same crop again
@@ -55,13 +136,13 @@ export class Cell {
             // Crop rotation benefit: reduce pest pressure
             this.pestPressure = Math.max(0, this.pestPressure - 30);
         }
+
+        // An infestation dies out when the new crop is not one of its hosts
+        if (this.pestId && !isPestHost(getPestById(this.pestId), newCrop)) {
+            this.clearPest();
+        }
         
-        this.crop = newCrop;
-        this.growthProgress = 0;
-        this.daysSincePlanting = 0;
-        this.fertilized = false;
-        this.irrigated = false;
-        this.harvestReady = false;
+        this.resetCrop(newCrop);
         
         // Base yield expectation starts at 100%
         // But gets reduced by pest pressure and consecutive plantings
@@ -73,61 +154,361 @@ export class Cell {
         return true;
     }
 
-    // Apply irrigation
-    irrigate(waterEfficiency = 1.0) {
+    // Overall soil condition (0-100), derived from organic matter, nutrients, structure and salinity
+    get soilHealth() {
+        return calculateSoilHealth({
+            organicMatter: this.organicMatter,
+            nutrients: this.nutrients,
+            structure: this.soilStructure,
+            salinity: this.salinity
+        });
+    }
+
+    // Water the root zone holds after free drainage (mm); organic matter and finer soils raise it
+    get fieldCapacity() {
+        return getFieldCapacity(this.organicMatter, this.soilType);
+    }
+
+    // How the plot's soil type holds and drains water (see SOIL_WATER)
+    get soilWater() {
+        return getSoilWater(this.soilType);
+    }
+
+    // Lay out the plot on a new farm's terrain (see terrain.js): its soil type, slope, elevation
+    // and flood zone, and starting organic matter and nutrients scaled by its fertility.
+    // The root zone starts at 80% of field capacity, full in the flood zone.
+    applyTerrain({ soilType, slope, elevation, floodZone, fertility }) {
+        this.soilType = soilType;
+        this.slope = slope;
+        this.elevation = elevation;
+        this.floodZone = floodZone;
+        this.organicMatter = SOIL_ORGANIC_MATTER.initial * fertility;
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] = Math.round(INITIAL_NUTRIENTS[nutrient] * fertility);
+        });
+        this.soilMoisture = (floodZone ? 1 : 0.8) * this.fieldCapacity;
+    }
+
+    // Damage (negative) or rebuild soil structure, kept within 0-100
+    changeStructure(amount) {
+        this.soilStructure = Math.max(0, Math.min(100, this.soilStructure + amount));
+    }
+
+    // Work crop residue (tons/acre of dry matter) into the soil's organic matter
+    addResidue(tons) {
+        this.organicMatter += tons * SOIL_ORGANIC_MATTER.humificationPerTon;
+    }
+
+    // Spread compost: organic matter plus a slow-release dose of nutrients
+    applyCompost() {
+        this.organicMatter += COMPOST.organicMatter;
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] += COMPOST.nutrients[nutrient];
+        });
+    }
+
+    // USLE cover factor C: bare soil erodes fully, mulch, fallow vegetation or a crop canopy shields it
+    get coverFactor() {
+        if (this.crop.id === 'empty') {
+            return this.surfaceMulch ? MULCH_C_FACTOR : this.groundCover.cFactor;
+        }
+        return this.stage.cFactor;
+    }
+
+    // How this plot is kept while it has no crop
+    get fallow() {
+        return FALLOW_TYPES[this.fallowType];
+    }
+
+    // What covers the plot while it has no crop: its landscape feature, if it has one, or its fallow
+    get groundCover() {
+        return getFeatureById(this.feature) || this.fallow;
+    }
+
+    // One day of rest for an empty plot: pests lose their hosts, minerals weather back
+    // into available nutrients and any fallow vegetation feeds organic matter
+    rest() {
+        this.fallowDays++;
+        this.nutrients = recoverFallowNutrients(this.nutrients);
+        this.pestPressure = Math.max(0, this.pestPressure - this.fallow.pestDecline);
+        this.addResidue(this.fallow.residue / 360);
+    }
+
+    // Erode the plot under rain of the given erosivity (USLE R); `erosionReduction` is the
+    // share prevented by conservation tillage. Returns the soil lost (tons/acre), which
+    // takes its share of organic matter and nutrients with it.
+    erode(erosivity, erosionReduction = 0) {
+        const soilLoss = calculateSoilLoss({
+            erosivity,
+            erodibility: getSoilErodibility(this.soilType, this.organicMatter),
+            slopeFactor: calculateSlopeFactor(this.slope),
+            coverFactor: this.coverFactor * (1 - erosionReduction),
+            practiceFactor: this.contourFarming ? getContourFactor(this.slope) : 1
+        });
+
+        // Subsoil mixing into the plow layer is poorer in organic matter than what washed away
+        const share = getTopsoilShare(soilLoss);
+        this.organicMatter *= 1 - share * 0.5;
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] *= 1 - share;
+        });
+
+        this.topsoilLost += soilLoss;
+        this.lastSoilLoss = soilLoss;
+        return soilLoss;
+    }
+
+    // Share of yield potential left after the topsoil this plot has lost
+    get erosionYieldFactor() {
+        return calculateErosionYieldFactor(this.topsoilLost);
+    }
+
+    // Current phenological stage (null for an empty plot)
+    get stage() {
+        return getGrowthStage(this.crop, this.growthProgress, this.harvestReady, this.daysHarvestReady, this.dormant);
+    }
+
+    // Soil water as a percentage of field capacity (0-100). Water above field
+    // capacity is still in the soil (see soilMoisture) but drains away within days.
+    get waterLevel() {
+        return Math.min(100, (this.soilMoisture / this.fieldCapacity) * 100);
+    }
+    set waterLevel(percent) {
+        this.soilMoisture = Math.max(0, percent) / 100 * this.fieldCapacity;
+    }
+
+    // Add rain or irrigation water (mm) carrying salts at the given EC (dS/m, rain is ~0);
+    // returns the runoff lost because the soil was saturated
+    addWater(amount, waterSalinity = 0) {
+        const result = addSoilWater(this.soilMoisture, amount, this.fieldCapacity, this.soilWater);
+        this.soilMoisture = result.moisture;
+        this.waterLosses.runoff += result.runoff;
+        this.salinity += getSalinityFromWater(amount - result.runoff, waterSalinity, this.fieldCapacity);
+        return result.runoff;
+    }
+
+    // The creek floods the plot (see CREEK_FLOOD): the soil is saturated, standing water drowns
+    // part of the crop (dormant trees and vines mostly ride it out) and the silt brings nutrients
+    flood({ yieldDamage, silt }) {
+        this.soilMoisture = Math.max(this.soilMoisture, this.fieldCapacity * this.soilWater.saturationRatio);
+        this.applyEnvironmentalEffect('yield-damage', yieldDamage, this.dormant ? 0.3 : 1);
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] += silt[nutrient];
+        });
+    }
+
+    // Apply irrigation with water of the given salinity; returns the runoff (mm) wasted by over-watering
+    irrigate(waterEfficiency = 1.0, waterSalinity = SOIL_SALINITY.irrigationWater) {
         if (this.crop.id === 'empty') return false;
     
-        // Remove the single-irrigation restriction
-        this.waterLevel = Math.min(100, this.waterLevel + 30 * waterEfficiency);
-        return true;
+        // No restriction on repeat irrigation, but water beyond saturation is lost
+        const amount = IRRIGATION_DEPTH * waterEfficiency;
+        const runoff = this.addWater(amount, waterSalinity);
+        this.drainLeachingFraction(amount - runoff);
+        return runoff;
+    }
+
+    // The leaching fraction of the irrigation water (mm) that soaked in seeps on below the
+    // roots, carrying salts and surplus nitrate with it, so the salts irrigation brings in
+    // settle at a steady level instead of building up; returns the water drained (mm)
+    drainLeachingFraction(infiltrated) {
+        const fieldCapacity = this.fieldCapacity;
+        const drainage = Math.min(this.soilMoisture, infiltrated * SOIL_SALINITY.leachingFraction);
+
+        this.soilMoisture -= drainage;
+        this.waterLosses.drainage += drainage;
+        this.leachSalts(getSaltLeachingShare(drainage, fieldCapacity, 1));
+        this.leachNitrate(getDrainageLeachingShare(drainage, fieldCapacity));
+        return drainage;
+    }
+
+    // Flush a share of the salts out of the root zone; returns the drop in ECe (dS/m)
+    leachSalts(share) {
+        const removed = this.salinity * Math.min(1, share);
+        this.salinity -= removed;
+        return removed;
+    }
+
+    // Leaching irrigation: apply far more water than the soil holds so the surplus
+    // percolates below the root zone and takes salts (and surplus nitrate) with it.
+    // Works on empty plots too. Returns the salinity removed (dS/m).
+    leachingIrrigation(waterSalinity = SOIL_SALINITY.irrigationWater, depth = LEACHING_IRRIGATION_DEPTH) {
+        const fieldCapacity = this.fieldCapacity;
+        const percolation = Math.max(0, depth - (fieldCapacity - this.soilMoisture));
+
+        this.salinity += getSalinityFromWater(depth, waterSalinity, fieldCapacity);
+        const removed = this.leachSalts(getSaltLeachingShare(percolation, fieldCapacity));
+        this.leachNitrate(getDrainageLeachingShare(percolation, fieldCapacity));
+        this.soilMoisture = Math.max(this.soilMoisture, fieldCapacity);
+        return removed;
+    }
+
+    // Share of yield potential left after the season's average root-zone salinity (Maas-Hoffman)
+    get salinityYieldFactor() {
+        const salinity = this.accumulatedGDD > 0 ? this.seasonSalinity / this.accumulatedGDD : this.salinity;
+        return calculateSalinityYieldFactor(salinity, this.crop.saltTolerance);
+    }
+
+
+    // Apply a fertilizer product (see FERTILIZERS in soils.js) at a multiple of its standard rate;
+    // returns the nutrients added (lb/acre)
+    fertilize(fertilizer, rate = 1.0, fertilizerEfficiency = 1.0) {
+        const added = {};
+        NUTRIENTS.forEach(nutrient => {
+            added[nutrient] = fertilizer.nutrients[nutrient] * rate * fertilizerEfficiency;
+            this.nutrients[nutrient] += added[nutrient];
+        });
+        return added;
+    }
+
+    // How well the soil's nutrients cover the current crop's needs (0-1, 1 for an empty plot)
+    get nutrientSufficiency() {
+        return calculateNutrientSufficiency(this.nutrients, this.crop.nutrientNeeds);
+    }
+
+    // Nutrients the current crop still needs this season beyond what the soil holds (lb/acre)
+    get nutrientShortfall() {
+        const remainingShare = Math.max(0, 1 - this.growthProgress / 100);
+        const shortfall = {};
+        NUTRIENTS.forEach(nutrient => {
+            shortfall[nutrient] = Math.max(0, this.crop.nutrientNeeds[nutrient] * remainingShare - this.nutrients[nutrient]);
+        });
+        return shortfall;
     }
 
+    // Wash out a share of the nitrate the crop can't use; returns the nitrogen lost (lb/acre).
+    // Leached nitrate is wasted fertilizer and acidifies the soil.
+    leachNitrate(share) {
+        const remainingUptake = this.crop.nutrientNeeds.nitrogen * Math.max(0, 1 - this.growthProgress / 100);
+        const leached = getMobileNitrogen(this.nutrients.nitrogen, remainingUptake) * Math.min(1, share);
+        if (leached <= 0) return 0;
+
+        this.nutrients.nitrogen -= leached;
+        this.nitrateLeached += leached;
+        this.seasonNitrateLeached += leached;
+        this.changeStructure(-leached * LEACHING_SOIL_DAMAGE);
+        return leached;
+    }
 
-    // Apply fertilizer
-    fertilize(fertilizerEfficiency = 1.0) {
+    // True when the soil can't supply the rest of the current crop's season
+    get needsFertilizer() {
         if (this.crop.id === 'empty') return false;
-        if (this.fertilized) return false;
-        
-        this.fertilized = true;
-        
-        // Fertilizer effectiveness is reduced on depleted soils
-        // Only 50% as effective when soil health is at 20%
-        const soilFactor = 0.5 + (this.soilHealth / 200);
-        
-        this.soilHealth = Math.min(100, this.soilHealth + 15 * fertilizerEfficiency * soilFactor);
-        
-        // Yield boost from fertilizer is also affected by soil health and pest pressure
-        const yieldBoost = 20 * fertilizerEfficiency * soilFactor * (1 - this.pestPressure / 100);
-        this.expectedYield = Math.min(150, this.expectedYield + yieldBoost);
-        
-        return true;
+        const shortfall = this.nutrientShortfall;
+        return NUTRIENTS.some(nutrient => shortfall[nutrient] > 0);
     }
 
-    // Update cell for daily changes
-    update(waterReserve, techs) {
-        // Skip empty plots
-        if (this.crop.id === 'empty') return;
+    // Update cell for daily changes.
+    // env: { waterReserve, techs, rng, weather: { tMin, tMax, et0 }, modifiers (the game's ModifierSet, optional),
+    //       fertilizerEfficiency (tech multiplier, optional), neighbor (effects of the plots around it, optional) }
+    update(env) {
+        const { techs, rng, weather, modifiers = null, fertilizerEfficiency = 1.0, neighbor = null } = env;
+
+        // Daily soil water balance (rain and irrigation were added as they happened):
+        // crops transpire Kc * ET0, fallow soil mostly evaporates, and excess water drains
+        let kc = this.crop.id === 'empty' ? this.groundCover.kc : this.stage.kc;
+        if (modifiers && this.crop.id !== 'empty') {
+            kc *= modifiers.getMultiplier('waterUse', this.crop.id);
+        }
+        if (neighbor) {
+            kc *= neighbor.etFactor; // Sheltered or shaded plots lose less water
+        }
+        const balance = dailyWaterBalance(this.soilMoisture, this.fieldCapacity, kc, weather.et0, this.soilWater);
+        this.soilMoisture = balance.moisture;
+        this.waterLosses = { et: balance.et, drainage: balance.drainage, runoff: 0 };
+
+        // Organic matter decomposes, releasing nitrogen (only up to what the soil retains while
+        // no crop is taking it up); structure slowly rebuilds, faster with more OM
+        const noTill = techs ? techs.includes('no_till_farming') : false;
+        const decomposition = decomposeOrganicMatter(this.organicMatter, noTill);
+        this.organicMatter = decomposition.organicMatter;
+        const cropTakingUp = this.crop.id !== 'empty' && !this.dormant && !this.harvestReady;
+        this.nutrients.nitrogen += getAvailableMineralizedNitrogen(decomposition.mineralizedNitrogen, this.nutrients.nitrogen, cropTakingUp);
+        const structureRecovery = this.crop.id === 'empty' ? this.fallow.structureRecovery : 1;
+        this.changeStructure(structureRecovery * SOIL_STRUCTURE.recoveryRate * this.organicMatter / SOIL_ORGANIC_MATTER.initial);
+
+        // Draining water carries surplus nitrate and salts away
+        this.nitrateLeached = 0;
+        if (balance.drainage > 0) {
+            this.leachNitrate(getDrainageLeachingShare(balance.drainage, this.fieldCapacity, fertilizerEfficiency));
+            this.leachSalts(getSaltLeachingShare(balance.drainage, this.fieldCapacity));
+        }
+
+        // Empty plots rest instead of growing
+        if (this.crop.id === 'empty') {
+            this.rest();
+            return;
+        }
+
+        // Orchards and vineyards age every day; dormant ones wait for spring
+        if (isPerennial(this.crop)) {
+            this.perennialAge++;
+            if (this.dormant) return;
+        }
+
+        // Track water stress over the season. A shortfall at a sensitive stage
+        // (e.g. flowering) weighs more than the same shortfall while vegetative.
+        const stageWeight = this.stage.waterSensitivity;
+        this.seasonActualET += balance.et * stageWeight;
+        this.seasonMaximumET += balance.potentialEt * stageWeight;
 
         // Update growth
         this.daysSincePlanting++;
+        if (this.harvestReady) {
+            this.daysHarvestReady++;
+
+            // A ripe crop left too long loses quality until nothing is worth picking
+            if (this.harvestQuality === 0) {
+                this.spoil();
+                return 'spoiled';
+            }
+        }
         
+        // Heat accumulated today drives development
+        const dailyGDD = calculateGDD(weather.tMin, weather.tMax, this.crop.gddBase);
+        this.accumulatedGDD += dailyGDD;
+        this.seasonSalinity += this.salinity * dailyGDD;
+
+        // Track nutrient supply over the season, weighted by today's development
+        const nutrientSufficiency = this.nutrientSufficiency;
+        this.seasonNutrientSupply += nutrientSufficiency * dailyGDD;
+        this.seasonNutrientDemand += dailyGDD;
+
         // Calculate growth progress based on conditions
-        const growthRate = this.calculateGrowthRate(waterReserve, techs);
+        let growthRate = this.calculateGrowthRate(dailyGDD, env, nutrientSufficiency);
+        if (modifiers) {
+            growthRate *= modifiers.getMultiplier('growth', this.crop.id);
+        }
+
+        // The crop takes up nutrients in step with its development until maturity
+        const uptakeShare = Math.max(0, Math.min(growthRate, 100 - this.growthProgress)) / 100;
+        const { pools, uptake } = takeUpNutrients(this.nutrients, this.crop.nutrientNeeds, uptakeShare);
+        this.nutrients = pools;
+        NUTRIENTS.forEach(nutrient => {
+            this.cropNutrients[nutrient] += uptake[nutrient];
+        });
+
+        // Legumes fix nitrogen from the air into their biomass
+        if (this.crop.nitrogenFixation) {
+            this.cropNutrients.nitrogen += this.crop.nitrogenFixation * uptakeShare;
+        }
+
         this.growthProgress += growthRate;
 
         // Check if ready for harvest
         if (this.growthProgress >= 100 && !this.harvestReady) {
+            // Young orchards and vineyards only grow wood, and rest once the season's growth is done
+            if (isPerennial(this.crop) && this.perennialYieldFactor === 0) {
+                this.dormant = true;
+                return;
+            }
             this.harvestReady = true;
             return 'harvest-ready'; // Return event
         }
 
-        // Natural water level decrease
-        const waterUseRate = this.crop.waterUse / 200; // Daily water use
-        this.waterLevel = Math.max(0, this.waterLevel - waterUseRate * 100);
-
-        // Water stress affects expected yield
-        if (this.waterLevel < 30) {
-            this.expectedYield = Math.max(10, this.expectedYield - 1);
+        // Living cover crop roots rebuild structure instead of wearing it down
+        if (isCoverCrop(this.crop)) {
+            this.changeStructure(0.05);
+            return;
         }
 
         // Base soil degradation rate
@@ -148,26 +529,31 @@ export class Cell {
         if (techs && techs.includes('no_till_farming')) {
             soilDegradation *= 0.5; // Reduced degradation with no-till
         }
+
+        // Orchard and vineyard floors are never plowed
+        if (isPerennial(this.crop)) {
+            soilDegradation *= 0.5;
+        }
         
-        // Soil health slowly degrades (more rapidly with monocropping)
-        this.soilHealth = Math.max(10, this.soilHealth - soilDegradation);
+        // Cropping wears down soil structure (more rapidly with monocropping)
+        this.changeStructure(-soilDegradation);
         
         // Very depleted soil increases pest pressure
-        if (this.soilHealth < 40 && Math.random() < 0.02) {
+        if (this.soilHealth < 40 && rng.random() < 0.02) {
             this.pestPressure = Math.min(80, this.pestPressure + 2);
         }
     }
 
-    // Calculate growth rate based on conditions
-    calculateGrowthRate(waterReserve, techs) {
-        // Base growth rate based on crop growth time
-        const baseRate = 100 / this.crop.growthTime;
+    // Calculate growth rate (% of maturity gained today) from today's degree-days and conditions
+    calculateGrowthRate(dailyGDD, { waterReserve, techs }, nutrientSufficiency = this.nutrientSufficiency) {
+        // Base rate: share of the crop's GDD requirement reached today
+        const baseRate = (dailyGDD / this.crop.gddToMaturity) * 100;
     
         // Get farm-wide water status
         const farmWaterFactor = waterReserve / 100;
         
         // Factors affecting growth
-        let waterFactor = Math.pow(this.waterLevel / 100, this.crop.waterSensitivity);
+        let waterFactor = Math.pow(this.waterLevel / 100, this.crop.waterSensitivity * this.stage.waterSensitivity);
         
         // Make farm water reserves have a significant impact
         if (waterReserve < 20) {
@@ -184,7 +570,9 @@ export class Cell {
         // Soil factor - make soil health much more impactful on growth
         // When soil health is at 20%, plants grow at 40% normal rate
         const soilFactor = 0.3 + (0.7 * Math.pow(this.soilHealth / 100, 0.8));
-        let fertilizerFactor = this.fertilized ? 1.2 : 1.0;
+
+        // The scarcest nutrient limits growth; at zero supply plants grow at 30% normal rate
+        const nutrientFactor = 0.3 + (0.7 * nutrientSufficiency);
         
         // Pest pressure reduces growth rate
         const pestFactor = 1 - (this.pestPressure / 200); // Max 40% reduction at 80 pest pressure
@@ -206,26 +594,47 @@ export class Cell {
         }
     
         // Calculate final growth rate
-        return baseRate * waterFactor * soilFactor * fertilizerFactor * pestFactor;
+        return baseRate * waterFactor * soilFactor * nutrientFactor * pestFactor;
+    }
+
+    // Share of maximum yield left after the season's water stress (FAO Ky relation)
+    get waterYieldFactor() {
+        return calculateWaterYieldFactor(this.seasonActualET, this.seasonMaximumET, this.crop.ky);
+    }
+
+    // Share of maximum yield left after the season's nutrient supply
+    // (a crop starved of nutrients all season still yields 40%)
+    get nutrientYieldFactor() {
+        if (this.seasonNutrientDemand <= 0) return 1;
+        return 0.4 + 0.6 * (this.seasonNutrientSupply / this.seasonNutrientDemand);
     }
 
     // Harvest the cell
-    harvest(waterReserve, marketPrice) {
+    harvest(marketPrice, yieldMultiplier = 1.0) {
         if (this.crop.id === 'empty') return 0;
         if (!this.harvestReady) return 0;
         
         // Calculate yield based on growing conditions
         let yieldPercentage = this.expectedYield / 100;
         
-        // Apply water stress factor 
-        const cellWaterFactor = this.waterLevel / 100;
-        const farmWaterFactor = waterReserve / 100;
-        
-        // Combine cell and farm water factors, with farm having significant impact
-        const combinedWaterFactor = cellWaterFactor * 0.7 + farmWaterFactor * 0.3;
-        
-        // Apply to yield with crop's water sensitivity
-        yieldPercentage *= Math.pow(combinedWaterFactor, this.crop.waterSensitivity * 1.2);
+        // Apply season-long water stress: 1 - Y/Ymax = Ky * (1 - ETa/ETm)
+        yieldPercentage *= this.waterYieldFactor;
+
+        // Apply season-long nutrient supply
+        yieldPercentage *= this.nutrientYieldFactor;
+
+        // Salt above the crop's tolerance threshold cuts yield
+        yieldPercentage *= this.salinityYieldFactor;
+
+        // Eroded topsoil permanently limits what the plot can produce
+        yieldPercentage *= this.erosionYieldFactor;
+
+        // Orchards and vineyards bear by age, and only fully after a cold enough winter
+        yieldPercentage *= this.perennialYieldFactor;
+        yieldPercentage *= this.chillYieldFactor;
+
+        // Later pickings from the same planting yield less
+        yieldPercentage *= this.pickingYieldFactor;
         
         // Apply soil health factor - stronger impact on yield
         // At 20% soil health, yield is reduced by 60%
@@ -236,30 +645,52 @@ export class Cell {
         const pestFactor = 1 - (this.pestPressure / 200); // Max 40% reduction at 80 pest pressure
         yieldPercentage *= pestFactor;
         
-        // Calculate final harvest value
+        // Temporary yield modifiers (events, policies)
+        yieldPercentage *= yieldMultiplier;
+        
+        // Calculate final harvest value; a crop picked late sells at a lower grade
+        const quality = this.harvestQuality;
         const baseValue = this.crop.harvestValue;
-        const harvestValue = Math.round(baseValue * yieldPercentage * marketPrice);
+        const harvestValue = Math.round(baseValue * yieldPercentage * quality * marketPrice);
         
         // Preserve crop name for return value
         const result = {
             cropName: this.crop.name,
             value: harvestValue,
-            yieldPercentage: Math.round(yieldPercentage * 100)
+            yieldPercentage: Math.round(yieldPercentage * 100),
+            quality: Math.round(quality * 100),
+            grade: getQualityGrade(quality).name
         };
         
         // Track the crop that was harvested
         const harvestedCropId = this.crop.id;
+
+        // The harvested product carries nutrients off the field; residue returns the rest
+        // and feeds organic matter (once the last picking is done)
+        const picking = this.morePickings;
+        if (!picking) {
+            NUTRIENTS.forEach(nutrient => {
+                this.nutrients[nutrient] += this.cropNutrients[nutrient] * (1 - HARVEST_NUTRIENT_REMOVAL);
+            });
+            this.addResidue(this.crop.residue);
+        }
+
+        if (picking) {
+            // The plants stay and fruit again
+            this.startNextPicking();
+        } else if (isPerennial(this.crop)) {
+            // The trees or vines stay and rest until spring
+            this.cropNutrients = emptyNutrients();
+            this.harvestReady = false;
+            this.daysHarvestReady = 0;
+            this.dormant = true;
+        } else {
+            // Clear the cell
+            this.resetCrop(crops[0]); // Empty plot
+            this.expectedYield = 0;
+        }
         
-        // Clear the cell
-        this.crop = crops[0]; // Empty plot
-        this.growthProgress = 0;
-        this.daysSincePlanting = 0;
-        this.fertilized = false;
-        this.irrigated = false;
-        this.harvestReady = false;
-        this.expectedYield = 0;
-        
-        // Apply soil health impact from harvesting
+        // Harvest traffic compacts the soil
         // Base impact is 5 units
         // Add the crop's specific soil impact
         // Add monocropping penalty
@@ -267,25 +698,265 @@ export class Cell {
         const monocropFactor = 1 + (this.consecutivePlantings * 0.2);
         const harvestImpact = 5 + Math.abs(cropSoilImpact) * monocropFactor;
         
-        this.soilHealth = Math.max(10, this.soilHealth - harvestImpact);
+        // Picking by hand between the rows treads the soil less than a final harvest
+        this.changeStructure(-harvestImpact * (picking ? 0.5 : 1));
         
         return result;
     }
 
+    // End a cover crop. Incorporating it (plowing under) releases all the nitrogen in its
+    // biomass at once but tills the soil; terminating it (mowing/rolling) leaves a mulch that
+    // shields the bare plot from erosion, releasing half the nitrogen now and the rest as
+    // the residue builds organic matter. Returns the nitrogen released (lb/acre).
+    terminateCoverCrop({ incorporate = false, noTill = false } = {}) {
+        if (!isCoverCrop(this.crop)) return 0;
+
+        this.rememberCrop();
+
+        // A young stand has less biomass and has done less to break pest cycles
+        const standShare = Math.min(1, this.growthProgress / 100);
+        const nitrogenShare = incorporate ? 1 : 0.5;
+        const releasedNitrogen = this.cropNutrients.nitrogen * nitrogenShare;
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] += nutrient === 'nitrogen' ? releasedNitrogen : this.cropNutrients[nutrient];
+        });
+        this.addResidue(this.crop.residue * standShare);
+        this.pestPressure = Math.max(0, this.pestPressure - this.crop.pestSuppression * standShare);
+
+        if (incorporate && !noTill) {
+            this.organicMatter = Math.max(0, this.organicMatter - SOIL_ORGANIC_MATTER.tillageLoss);
+        }
+        this.surfaceMulch = !incorporate;
+
+        this.resetCrop(crops[0]);
+        this.expectedYield = 0;
+        return releasedNitrogen;
+    }
+
+    // Pull out an orchard or vineyard. The wood is chipped and worked into the soil
+    // (whole-orchard recycling), a large boost to organic matter.
+    removePerennial() {
+        if (!isPerennial(this.crop)) return false;
+
+        this.rememberCrop();
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] += this.cropNutrients[nutrient];
+        });
+        this.addResidue(this.crop.lifecycle.woodResidue);
+        this.organicMatter = Math.max(0, this.organicMatter - SOIL_ORGANIC_MATTER.tillageLoss);
+
+        this.resetCrop(crops[0]);
+        this.expectedYield = 0;
+        return true;
+    }
+
+    // A pest or disease takes hold in the plot, adding to its pest pressure
+    infest(pest, pressure) {
+        this.pestId = pest.id;
+        this.pestPressure = Math.min(MAX_PEST_PRESSURE, this.pestPressure + pressure);
+    }
+
+    // The infestation has died out (any remaining pest pressure fades as usual)
+    clearPest() {
+        this.pestId = null;
+    }
+
+    // Apply a pest control (see PEST_CONTROLS) removing `efficacy` of the pest pressure if it
+    // works on what infests the plot. Sprays hurt soil life (half as much when applied
+    // precisely). Returns the pest pressure removed.
+    treatPests(control, efficacy, { targeted = false } = {}) {
+        this.changeStructure(-control.soilDamage * (targeted ? 0.5 : 1));
+        if (control.protectionDays) {
+            this.beneficialDays = Math.max(this.beneficialDays, control.protectionDays);
+        }
+        if (!controlWorksOn(control, this)) return 0;
+
+        const removed = this.pestPressure * efficacy;
+        this.pestPressure -= removed;
+        if (this.pestPressure < 1) {
+            this.pestPressure = 0;
+            this.clearPest();
+        }
+        return removed;
+    }
+
+    // A crop left unpicked until it is worthless rots in the field, returning its
+    // nutrients and biomass to the soil. Orchards and vineyards rest until spring.
+    spoil() {
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] += this.cropNutrients[nutrient];
+        });
+        this.addResidue(this.crop.residue);
+
+        if (this.morePickings) {
+            this.startNextPicking({ picked: false });
+        } else if (isPerennial(this.crop)) {
+            this.cropNutrients = emptyNutrients();
+            this.harvestReady = false;
+            this.daysHarvestReady = 0;
+            this.dormant = true;
+        } else {
+            this.resetCrop(crops[0]);
+            this.expectedYield = 0;
+        }
+    }
+
+    // Whether the planting fruits again after the current picking
+    get morePickings() {
+        return hasMultiplePickings(this.crop) && this.pickingsTaken + 1 < this.crop.pickings.max;
+    }
+
+    // Share of the first picking's yield the current picking gives
+    get pickingYieldFactor() {
+        return hasMultiplePickings(this.crop) ? Math.pow(this.crop.pickings.yieldDecline, this.pickingsTaken) : 1;
+    }
+
+    // After a picking the plants drop back to fruiting and ripen the next flush. Picked fruit
+    // carries its share of the plant's nutrients off the field; fruit left to rot returns them.
+    startNextPicking({ picked = true } = {}) {
+        const { returnTo } = this.crop.pickings;
+        const fruitShare = 1 - returnTo / 100;
+        NUTRIENTS.forEach(nutrient => {
+            const fruitNutrients = this.cropNutrients[nutrient] * fruitShare;
+            this.cropNutrients[nutrient] -= fruitNutrients;
+            if (!picked) {
+                this.nutrients[nutrient] += fruitNutrients;
+            }
+        });
+
+        this.pickingsTaken++;
+        this.growthProgress = returnTo;
+        this.harvestReady = false;
+        this.daysHarvestReady = 0;
+    }
+
+    // End a multi-picking planting at the end of its season: the plants are worked
+    // into the soil and the plot is cleared
+    endPickingSeason() {
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] += this.cropNutrients[nutrient];
+        });
+        this.addResidue(this.crop.residue);
+        this.resetCrop(crops[0]);
+        this.expectedYield = 0;
+    }
+
+    // Share of full value the ripe crop still has (1 until its harvest window has passed)
+    get harvestQuality() {
+        return this.harvestReady ? getHarvestQuality(this.crop, this.daysHarvestReady) : 1;
+    }
+
+    // Ripe cash crop past its harvest window, losing value every day
+    get harvestOverdue() {
+        return this.harvestReady && isCashCrop(this.crop) && this.daysHarvestReady > this.crop.harvestWindow;
+    }
+
+    // Spring: orchards and vineyards leaf out and start a new season. Fruit left
+    // unharvested is lost and, with last year's leaves, returns its nutrients to the soil.
+    // The winter's chill hours decide how well the buds break.
+    breakDormancy(chillHours) {
+        if (!isPerennial(this.crop)) return;
+
+        NUTRIENTS.forEach(nutrient => {
+            this.nutrients[nutrient] += this.cropNutrients[nutrient];
+        });
+        this.resetSeason();
+        this.dormant = false;
+        this.chillYieldFactor = getChillYieldFactor(this.crop, chillHours);
+        this.expectedYield = Math.max(40, 100 - this.pestPressure / 2);
+    }
+
+    // Whole years since a perennial was planted
+    get perennialYears() {
+        return Math.floor(this.perennialAge / 360);
+    }
+
+    // Share of full yield the planting's age allows (1 for annuals)
+    get perennialYieldFactor() {
+        return isPerennial(this.crop) ? getPerennialYieldFactor(this.crop, this.perennialYears) : 1;
+    }
+
+    // Add the current crop to the history, keeping the last 10
+    rememberCrop() {
+        this.cropHistory.push({
+            id: this.crop.id,
+            duration: this.daysSincePlanting
+        });
+        if (this.cropHistory.length > 10) {
+            this.cropHistory.shift();
+        }
+    }
+
+    // Put a crop (or the empty plot) in the cell with fresh season tracking
+    resetCrop(crop) {
+        this.crop = crop;
+        this.daysSincePlanting = 0;
+        this.fallowDays = 0;
+        this.perennialAge = 0;
+        this.dormant = false;
+        this.chillYieldFactor = 1;
+        this.pickingsTaken = 0;
+        this.resetSeason();
+    }
+
+    // Clear the season's growth and stress tracking
+    resetSeason() {
+        this.growthProgress = 0;
+        this.accumulatedGDD = 0;
+        this.seasonActualET = 0;
+        this.seasonMaximumET = 0;
+        this.cropNutrients = emptyNutrients();
+        this.seasonNutrientSupply = 0;
+        this.seasonNutrientDemand = 0;
+        this.seasonSalinity = 0;
+        this.irrigated = false;
+        this.harvestReady = false;
+        this.daysHarvestReady = 0;
+    }
+
+    // Serialize the cell to a plain object for saving (crop stored by id)
+    serialize() {
+        return {
+            ...this,
+            crop: this.crop.id,
+            waterLosses: { ...this.waterLosses },
+            nutrients: { ...this.nutrients },
+            cropNutrients: { ...this.cropNutrients },
+            cropHistory: this.cropHistory.map(entry => ({ ...entry }))
+        };
+    }
+
+    // Rebuild a cell from saved data; fields missing from older saves keep their defaults
+    static deserialize(data) {
+        const cell = new Cell();
+        Object.assign(cell, data);
+        cell.crop = getCropById(data.crop);
+        cell.cropHistory = (data.cropHistory || []).map(entry => ({ ...entry }));
+        cell.waterLosses = { ...cell.waterLosses };
+        cell.nutrients = { ...cell.nutrients };
+        cell.cropNutrients = { ...cell.cropNutrients };
+        return cell;
+    }
+
     // Apply environmental effects (for events)
     applyEnvironmentalEffect(effect, magnitude, protection = 1.0) {
         switch (effect) {
             case 'water-increase':
-                this.waterLevel = Math.min(100, this.waterLevel + magnitude);
+                // Magnitude is a % of field capacity; saturated soil sheds the excess
+                this.addWater(magnitude / 100 * this.fieldCapacity);
                 break;
             case 'water-decrease':
-                this.waterLevel = Math.max(0, this.waterLevel - (magnitude * protection));
+                this.soilMoisture = Math.max(0, this.soilMoisture - (magnitude * protection) / 100 * this.fieldCapacity);
                 break;
             case 'soil-damage':
-                this.soilHealth = Math.max(10, this.soilHealth - (magnitude * protection));
+                this.changeStructure(-magnitude * protection);
                 break;
             case 'soil-improve':
-                this.soilHealth = Math.min(100, this.soilHealth + magnitude);
+                this.changeStructure(magnitude);
+                break;
+            case 'salinity-increase':
+                // Magnitude is the rise in ECe (dS/m)
+                this.salinity += magnitude * protection;
                 break;
             case 'yield-damage':
                 if (this.crop.id !== 'empty') {
@@ -306,3 +977,8 @@ export class Cell {
         }
     }
 }
+
+// Nutrient amounts all at zero (lb/acre)
+function emptyNutrients() {
+    return Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, 0]));
+}
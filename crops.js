@@ -3,90 +3,382 @@
  * 
  * This file contains the data structures for all crop types in the game,
  * including their properties, growth parameters, and visual representation.
+ *
+ * Crops develop by Growing Degree Days: `gddBase` is the base temperature (°F)
+ * below which no development happens, and `gddToMaturity` the degree-days needed
+ * to reach harvest. `growthTime` is the typical number of days when planted in
+ * season, for display.
+ *
+ * Each crop also moves through phenological stages (germination -> overripe).
+ * Stages have their own water sensitivity, heat sensitivity and frost
+ * vulnerability, so the same weather does more damage at some stages than others.
+ * A ripe cash crop keeps its full quality for `harvestWindow` days; after that
+ * it loses quality every day and is a total loss `spoilageDays` later.
+ *
+ * Crops with `pickings` are picked several times from one planting. After each
+ * picking the plants drop back to `returnTo` growth progress (fruiting) and
+ * ripen again; each picking yields `yieldDecline` times the one before and
+ * costs `laborCost` to pick. The planting ends after `max` pickings, or when
+ * `endSeason` arrives once picking has started.
+ *
+ * `nutrientNeeds` is the nitrogen, phosphorus and potassium (lb/acre) a crop
+ * takes up from the soil over one season.
+ * `residue` is the dry matter (tons/acre) left in the field after harvest,
+ * which feeds soil organic matter.
+ * `saltTolerance` is the FAO salt tolerance: the soil salinity (ECe, dS/m) a
+ * crop takes without yield loss and the % of yield lost per dS/m above it.
+ *
+ * `category` separates cash crops, which are harvested and sold, from cover
+ * crops, which cost money to plant, are never sold, and are terminated or
+ * incorporated to feed the soil. Cover crops fix (`nitrogenFixation`, lb/acre
+ * over a full season) or scavenge nitrogen, shield the soil from erosion and
+ * break pest cycles (`pestSuppression`, points of pest pressure removed).
+ *
+ * `type` says how long a planting lives. Annuals are harvested once and the
+ * plot is cleared. Perennials (orchards and vineyards) stay in the ground: they
+ * bear nothing for their first years, then give one harvest a year, going
+ * dormant in between, with yields that follow the planting's age. Their
+ * `lifecycle` holds the ages (years) of first crop, full bearing and decline,
+ * the productive lifespan, the establishment cost (multiple of a normal
+ * planting), the cost of removing the planting and the wood (tons/acre) it
+ * returns to the soil when chipped. `chillRequirement` is the winter chill
+ * (hours between 32 and 45°F) the buds need to break evenly in spring; a short
+ * winter cuts the following harvest.
  */
 
+// Growth stages shared by all crops. `until` is the growth progress (%) at which
+// the stage ends; harvest-ready and overripe follow maturity. `kc` is the FAO crop
+// coefficient (crop water use relative to reference ET). `cFactor` is the USLE
+// cover-management factor: the share of bare-soil erosion that still happens
+// under the crop's canopy. The sensitivities are multipliers on the crop's own
+// values (1.0 = the crop's baseline).
+export const GROWTH_STAGES = [
+    { id: 'germination', name: 'Germination', until: 10, color: '#d4e6a5', kc: 0.4, cFactor: 0.7, waterSensitivity: 0.8, heatSensitivity: 0.6, frostVulnerability: 1.5 },
+    { id: 'vegetative', name: 'Vegetative', until: 45, color: '#7cc26a', kc: 0.8, cFactor: 0.4, waterSensitivity: 0.9, heatSensitivity: 0.8, frostVulnerability: 1.0 },
+    { id: 'flowering', name: 'Flowering / Fruit Set', until: 75, color: '#f2a7d8', kc: 1.15, cFactor: 0.2, waterSensitivity: 1.4, heatSensitivity: 1.8, frostVulnerability: 1.6 },
+    { id: 'maturation', name: 'Maturation', until: 100, color: '#e8c15a', kc: 0.8, cFactor: 0.2, waterSensitivity: 0.7, heatSensitivity: 0.9, frostVulnerability: 0.5 },
+    { id: 'harvest_ready', name: 'Harvest Ready', until: Infinity, color: '#d2691e', kc: 0.5, cFactor: 0.25, waterSensitivity: 0.4, heatSensitivity: 0.6, frostVulnerability: 0.4 },
+    { id: 'overripe', name: 'Overripe', until: Infinity, color: '#8b5a2b', kc: 0.4, cFactor: 0.3, waterSensitivity: 0.3, heatSensitivity: 0.6, frostVulnerability: 0.6 },
+    { id: 'dormant', name: 'Dormant', until: Infinity, color: '#a0a0a0', kc: 0.3, cFactor: 0.3, waterSensitivity: 0.2, heatSensitivity: 0.2, frostVulnerability: 0.1 } // Perennials between seasons
+];
+
+// Build a crop's stage list from the shared stages plus per-crop overrides (keyed by stage id)
+function buildStages(overrides = {}) {
+    return GROWTH_STAGES.map(stage => ({ ...stage, ...(overrides[stage.id] || {}) }));
+}
+
+// Cover crops grow a dense, low canopy that protects the soil better than any cash crop,
+// and a mature stand is terminated rather than harvested
+const COVER_CROP_STAGES = {
+    germination: { cFactor: 0.5 },
+    vegetative: { name: 'Establishment', cFactor: 0.15 },
+    flowering: { cFactor: 0.05 },
+    maturation: { name: 'Full Biomass', cFactor: 0.05 },
+    harvest_ready: { name: 'Ready to Terminate', cFactor: 0.05 },
+    overripe: { name: 'Going to Seed', cFactor: 0.1 }
+};
+
 // Exported crops data
 export const crops = [
     {
         id: 'empty',
         name: 'Empty Plot',
+        category: 'none',
+        type: 'none',
         waterUse: 0,
         growthTime: 0,
+        gddBase: 0,
+        gddToMaturity: 0,
         harvestValue: 0,
         color: '#e9e9e9',
         soilImpact: 0,
-        fertilizerNeed: 0,
+        nutrientNeeds: { nitrogen: 0, phosphorus: 0, potassium: 0 },
+        residue: 0,
+        saltTolerance: { threshold: 0, slope: 0 },
         basePrice: 0,
         waterSensitivity: 0,
-        heatSensitivity: 0
+        ky: 0,
+        heatSensitivity: 0,
+        harvestWindow: 0,
+        stages: []
     },
     {
         id: 'corn',
         name: 'Corn',
+        category: 'cash',
+        type: 'annual',
         waterUse: 3.5,
         growthTime: 90,
+        gddBase: 50,
+        gddToMaturity: 1500,
         harvestValue: 75,
         color: '#ffd700',
         soilImpact: -2,
-        fertilizerNeed: 80,
+        nutrientNeeds: { nitrogen: 80, phosphorus: 25, potassium: 60 },
+        residue: 3.0,
+        saltTolerance: { threshold: 1.7, slope: 12 },
         basePrice: 75,
         waterSensitivity: 1.1,
-        heatSensitivity: 0.8
+        ky: 1.25, // FAO yield response factor: yield lost per unit of relative ET deficit
+        heatSensitivity: 0.8,
+        harvestWindow: 20, // Days a ready crop can wait before it is overripe
+        spoilageDays: 25,  // Days an overripe crop takes to lose all its value
+        stages: buildStages({
+            flowering: { name: 'Tasseling / Silking', kc: 1.2, waterSensitivity: 1.6, heatSensitivity: 2.0 }
+        })
     },
     {
         id: 'lettuce',
         name: 'Lettuce',
+        category: 'cash',
+        type: 'annual',
         waterUse: 1.5,
         growthTime: 60,
+        gddBase: 40,
+        gddToMaturity: 750,
         harvestValue: 120,
         color: '#90ee90',
         soilImpact: -1,
-        fertilizerNeed: 60,
+        nutrientNeeds: { nitrogen: 60, phosphorus: 15, potassium: 70 },
+        residue: 0.5,
+        saltTolerance: { threshold: 1.3, slope: 13 },
         basePrice: 120,
         waterSensitivity: 1.2,
-        heatSensitivity: 1.3
+        ky: 1.05,
+        heatSensitivity: 1.3,
+        harvestWindow: 7,
+        spoilageDays: 5,
+        pickings: { max: 2, returnTo: 45, yieldDecline: 0.6, laborCost: 30, endSeason: 'Winter' }, // Cut and come again
+        stages: buildStages({
+            flowering: { name: 'Head Formation', kc: 1.0, heatSensitivity: 2.2 } // Heat at heading causes bolting
+        })
     },
     {
         id: 'almonds',
         name: 'Almonds',
+        category: 'cash',
+        type: 'perennial',
         waterUse: 4.5,
         growthTime: 240,
+        gddBase: 50,
+        gddToMaturity: 3000,
         harvestValue: 450,
         color: '#8b4513',
         soilImpact: -1,
-        fertilizerNeed: 100,
+        nutrientNeeds: { nitrogen: 100, phosphorus: 20, potassium: 120 },
+        residue: 1.0,
+        saltTolerance: { threshold: 1.5, slope: 19 },
         basePrice: 450,
         waterSensitivity: 0.9,
-        heatSensitivity: 0.7
+        ky: 1.1,
+        heatSensitivity: 0.7,
+        harvestWindow: 30,
+        spoilageDays: 30,
+        stages: buildStages({
+            flowering: { name: 'Bloom / Nut Set', kc: 1.1, frostVulnerability: 2.2 }, // Bloom frost is the classic almond loss
+            maturation: { name: 'Hull Split', kc: 0.9 }
+        }),
+        lifecycle: {
+            bearingAge: 3,
+            fullBearingAge: 6,
+            declineAge: 20,
+            lifespan: 25,
+            establishmentCostFactor: 5,
+            removalCost: 800,
+            woodResidue: 30,
+            chillRequirement: 700
+        }
     },
     {
         id: 'strawberries',
         name: 'Strawberries',
+        category: 'cash',
+        type: 'annual',
         waterUse: 2.5,
         growthTime: 70,
+        gddBase: 40,
+        gddToMaturity: 900,
         harvestValue: 300,
         color: '#ff6b6b',
         soilImpact: -2,
-        fertilizerNeed: 90,
+        nutrientNeeds: { nitrogen: 90, phosphorus: 25, potassium: 110 },
+        residue: 0.5,
+        saltTolerance: { threshold: 1.0, slope: 33 },
         basePrice: 300,
         waterSensitivity: 1.0,
-        heatSensitivity: 1.1
+        ky: 1.0,
+        heatSensitivity: 1.1,
+        harvestWindow: 5,
+        spoilageDays: 4,
+        pickings: { max: 5, returnTo: 70, yieldDecline: 0.85, laborCost: 60, endSeason: 'Winter' },
+        stages: buildStages({
+            flowering: { kc: 0.85, frostVulnerability: 1.9 }
+        })
     },
     {
         id: 'grapes',
         name: 'Grapes',
+        category: 'cash',
+        type: 'perennial',
         waterUse: 3.0,
         growthTime: 180,
+        gddBase: 50,
+        gddToMaturity: 2200,
         harvestValue: 350,
         color: '#9370db',
         soilImpact: -1,
-        fertilizerNeed: 75,
+        nutrientNeeds: { nitrogen: 75, phosphorus: 15, potassium: 90 },
+        residue: 1.0,
+        saltTolerance: { threshold: 1.5, slope: 9.6 },
         basePrice: 350,
         waterSensitivity: 0.8,
-        heatSensitivity: 0.9
+        ky: 0.85,
+        heatSensitivity: 0.9,
+        harvestWindow: 14,
+        spoilageDays: 10,
+        stages: buildStages({
+            flowering: { name: 'Bloom / Fruit Set', kc: 0.85 },
+            maturation: { name: 'Veraison / Ripening', kc: 0.7, heatSensitivity: 1.2 }
+        }),
+        lifecycle: {
+            bearingAge: 3,
+            fullBearingAge: 5,
+            declineAge: 25,
+            lifespan: 30,
+            establishmentCostFactor: 4,
+            removalCost: 500,
+            woodResidue: 10,
+            chillRequirement: 500
+        }
+    },
+    {
+        id: 'vetch_clover',
+        name: 'Vetch & Clover',
+        category: 'cover',
+        type: 'annual',
+        waterUse: 1.5,
+        growthTime: 150,
+        gddBase: 40,
+        gddToMaturity: 1800,
+        harvestValue: 0,
+        color: '#6b8e23',
+        soilImpact: 0,
+        nutrientNeeds: { nitrogen: 0, phosphorus: 10, potassium: 40 }, // Legumes supply their own nitrogen
+        nitrogenFixation: 100,
+        pestSuppression: 15,
+        residue: 2.0,
+        saltTolerance: { threshold: 3.0, slope: 11 },
+        basePrice: 100,
+        waterSensitivity: 0.6,
+        ky: 0,
+        heatSensitivity: 0.8,
+        harvestWindow: 45,
+        stages: buildStages(COVER_CROP_STAGES)
+    },
+    {
+        id: 'rye_mix',
+        name: 'Cereal Rye Mix',
+        category: 'cover',
+        type: 'annual',
+        waterUse: 1.5,
+        growthTime: 150,
+        gddBase: 35,
+        gddToMaturity: 1800,
+        harvestValue: 0,
+        color: '#a9b665',
+        soilImpact: 0,
+        nutrientNeeds: { nitrogen: 50, phosphorus: 8, potassium: 40 }, // Scavenges leftover nitrate
+        nitrogenFixation: 0,
+        pestSuppression: 25,
+        residue: 3.5,
+        saltTolerance: { threshold: 6.0, slope: 7.1 },
+        basePrice: 75,
+        waterSensitivity: 0.5,
+        ky: 0,
+        heatSensitivity: 0.7,
+        harvestWindow: 45,
+        stages: buildStages(COVER_CROP_STAGES)
     }
 ];
 
+// Orchards and vineyards stay in the ground for years
+export function isPerennial(crop) {
+    return crop.type === 'perennial';
+}
+
+// Share of full yield a perennial planting gives at an age (whole years since planting):
+// nothing while establishing, ramping up to full bearing, then declining after its prime
+export function getPerennialYieldFactor(crop, age) {
+    const { bearingAge, fullBearingAge, declineAge, lifespan } = crop.lifecycle;
+    if (age < bearingAge) return 0;
+    if (age < fullBearingAge) {
+        return 0.3 + 0.7 * (age - bearingAge) / (fullBearingAge - bearingAge);
+    }
+    if (age <= declineAge) return 1;
+    return Math.max(0.2, 1 - 0.6 * (age - declineAge) / (lifespan - declineAge));
+}
+
+// Share of full yield left after a winter with the given chill hours: buds that
+// did not get enough chill break late and unevenly, setting a smaller crop
+export function getChillYieldFactor(crop, chillHours) {
+    const requirement = crop.lifecycle.chillRequirement;
+    if (chillHours >= requirement) return 1;
+    return Math.max(0.2, chillHours / requirement);
+}
+
+// Crops picked several times from one planting
+export function hasMultiplePickings(crop) {
+    return Boolean(crop.pickings);
+}
+
+// Cash crops are harvested and sold
+export function isCashCrop(crop) {
+    return crop.category === 'cash';
+}
+
+// Cover crops protect and feed the soil between cash crops
+export function isCoverCrop(crop) {
+    return crop.category === 'cover';
+}
+
+// All crops that go to market
+export function getCashCrops() {
+    return crops.filter(isCashCrop);
+}
+
+// Current stage of a crop given its growth progress (%) and days spent harvest-ready
+export function getGrowthStage(crop, growthProgress, harvestReady = false, daysHarvestReady = 0, dormant = false) {
+    if (!crop.stages || crop.stages.length === 0) return null;
+
+    const stageById = id => crop.stages.find(stage => stage.id === id);
+    if (dormant) return stageById('dormant');
+    if (harvestReady) {
+        return daysHarvestReady > crop.harvestWindow ? stageById('overripe') : stageById('harvest_ready');
+    }
+    return crop.stages.find(stage => growthProgress < stage.until) || stageById('maturation');
+}
+
+// Share of full value a ripe crop still has after waiting the given days for harvest:
+// full quality through the harvest window, then falling daily to nothing
+export function getHarvestQuality(crop, daysHarvestReady) {
+    if (!isCashCrop(crop) || daysHarvestReady <= crop.harvestWindow) return 1;
+    return Math.max(0, 1 - (daysHarvestReady - crop.harvestWindow) / crop.spoilageDays);
+}
+
+// Market grades by harvest quality, best first
+export const QUALITY_GRADES = [
+    { id: 'premium', name: 'Premium', minQuality: 1 },
+    { id: 'grade_a', name: 'Grade A', minQuality: 0.75 },
+    { id: 'grade_b', name: 'Grade B', minQuality: 0.5 },
+    { id: 'processing', name: 'Processing', minQuality: 0.25 },
+    { id: 'cull', name: 'Cull', minQuality: 0 }
+];
+
+// Grade a harvest of the given quality (0-1)
+export function getQualityGrade(quality) {
+    return QUALITY_GRADES.find(grade => quality >= grade.minQuality);
+}
+
 // Helper function to find crop by ID
 export function getCropById(id) {
     return crops.find(crop => crop.id === id) || crops[0]; // Default to empty plot if not found
@@ -0,0 +1,104 @@
+/**
+ * California Climate Farmer - Game Event Bus
+ *
+ * This file contains the typed event emitter the simulation uses to announce
+ * state changes. The UI, logger, test harness and third-party code subscribe
+ * to these events instead of being called directly or patching game methods.
+ */
+
+// Every event the simulation publishes, with the payload each one carries
+export const GAME_EVENTS = Object.freeze({
+    dayAdvanced: 'dayAdvanced',         // { day, year, season, weather }
+    seasonChanged: 'seasonChanged',     // { season, previousSeason, year }
+    yearEnded: 'yearEnded',             // { year, sustainabilityScore, farmValue, balance, chillHours }
+    cellPlanted: 'cellPlanted',         // { row, col, cropId, cost }
+    cellIrrigated: 'cellIrrigated',     // { row, col, cost, runoff }
+    cellFertilized: 'cellFertilized',   // { row, col, cost, fertilizerId, rate, added }
+    cellComposted: 'cellComposted',     // { row, col, cost }
+    cellContoured: 'cellContoured',     // { row, col, cost }
+    cellLeached: 'cellLeached',         // { row, col, cost, salinityRemoved }
+    coverCropTerminated: 'coverCropTerminated', // { row, col, cropId, incorporate, cost, nitrogen }
+    cellFallowChanged: 'cellFallowChanged', // { row, col, fallowType, cost }
+    cellFallowEnrolled: 'cellFallowEnrolled', // { row, col, paymentPerPlot }
+    perennialRemoved: 'perennialRemoved', // { row, col, cropId, age, cost }
+    cellHarvested: 'cellHarvested',     // { row, col, cropId, value, yieldPercentage, quality, grade, picking, laborCost, pollination }
+    pickingSeasonEnded: 'pickingSeasonEnded', // { row, col, cropId, pickings }
+    pestOutbreak: 'pestOutbreak',       // { row, col, pestId }
+    pestSpread: 'pestSpread',           // { row, col, pestId, from: { row, col } }
+    pestControlApplied: 'pestControlApplied', // { row, col, controlId, plots, cost, efficacy, pressureRemoved }
+    hedgerowInstalled: 'hedgerowInstalled', // { row, col, cost }
+    featurePlaced: 'featurePlaced',     // { row, col, featureId, cost }
+    featureRemoved: 'featureRemoved',   // { row, col, featureId }
+    cropSpoiled: 'cropSpoiled',         // { row, col, cropId }
+    eventScheduled: 'eventScheduled',   // { event, id }
+    eventCancelled: 'eventCancelled',   // { event, id }
+    eventApplied: 'eventApplied',       // { event, result, id, dayIndex }
+    fallowingOffered: 'fallowingOffered', // { agreement }
+    fallowingPaid: 'fallowingPaid',     // { plots, payment }
+    techResearched: 'techResearched',   // { techId, name, cost }
+    modifierAdded: 'modifierAdded',     // { modifier }
+    modifierExpired: 'modifierExpired', // { modifier }
+    balanceChanged: 'balanceChanged',   // { balance, previous, change }
+    messageLogged: 'messageLogged',     // { message, isAlert, date }
+    pauseChanged: 'pauseChanged',       // { paused }
+    stateLoaded: 'stateLoaded'          // { slotName }
+});
+
+// Minimal typed emitter - subscribing to or emitting an unknown event type is an error
+export class GameEventEmitter {
+    constructor(eventTypes = Object.values(GAME_EVENTS)) {
+        this.listeners = new Map(eventTypes.map(type => [type, []]));
+    }
+
+    // Subscribe to an event; returns a function that unsubscribes
+    on(type, listener) {
+        this.assertKnownType(type);
+        if (typeof listener !== 'function') {
+            throw new TypeError(`Listener for '${type}' must be a function.`);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    // Subscribe for a single emission only
+    once(type, listener) {
+        const unsubscribe = this.on(type, payload => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    // Remove a listener
+    off(type, listener) {
+        this.assertKnownType(type);
+        this.listeners.set(type, this.listeners.get(type).filter(l => l !== listener));
+    }
+
+    // Publish an event to all current listeners
+    emit(type, payload = {}) {
+        this.assertKnownType(type);
+
+        // Copy so listeners can unsubscribe while we iterate
+        [...this.listeners.get(type)].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                // One broken subscriber must not stop the simulation tick
+                console.error(`Error in '${type}' listener:`, error);
+            }
+        });
+    }
+
+    // Number of listeners for an event type
+    listenerCount(type) {
+        this.assertKnownType(type);
+        return this.listeners.get(type).length;
+    }
+
+    assertKnownType(type) {
+        if (!this.listeners.has(type)) {
+            throw new Error(`Unknown game event type: '${type}'`);
+        }
+    }
+}
@@ -6,10 +6,41 @@
  * and policy changes.
  */
 
+import { MODIFIER_TARGETS } from './modifiers.js';
+import { getTechEffectValue, getErosionReduction } from './technology.js';
+import { HEAVY_RAIN_LEACHING, getRainfallErosivity, SOIL_SALINITY } from './soils.js';
+import { getNeighborEffects, routeRunoff } from './landscape.js';
+import { CREEK_FLOOD } from './terrain.js';
+
+// Order in which events due on the same day are applied (higher first).
+// Weather lands before the market and policy news of the day.
+export const EVENT_PRIORITIES = {
+    drought: 30,
+    heatwave: 30,
+    frost: 30,
+    rain: 20,
+    market: 10,
+    policy: 10,
+    technology: 10
+};
+
+// Events that apply every day for their whole duration. Other events with a
+// duration (market opportunities, research breakthroughs) apply once.
+const DAILY_EVENT_TYPES = ['drought', 'heatwave'];
+
+// How the scheduler should place an event: first day, days it fires and priority
+export function getEventTiming(event) {
+    return {
+        day: event.day,
+        duration: DAILY_EVENT_TYPES.includes(event.type) ? (event.duration || 1) : 1,
+        priority: EVENT_PRIORITIES[event.type] ?? 0
+    };
+}
+
 // Generate a random event based on the current state of the farm
-export function generateRandomEvent(farmState) {
+export function generateRandomEvent(farmState, rng) {
     // Prevent duplicate event generation by adding a small random factor to probability
-    if (Math.random() < 0.5) {
+    if (rng.random() < 0.5) {
         return null; // 50% chance to not generate an event at all
     }
     
@@ -22,7 +53,7 @@ export function generateRandomEvent(farmState) {
     ];
     
     // Select event type based on probabilities
-    const roll = Math.random();
+    const roll = rng.random();
     let cumulativeProbability = 0;
     let selectedType = eventTypes[0].type;
     
@@ -37,20 +68,20 @@ export function generateRandomEvent(farmState) {
     // Generate specific event based on type
     switch (selectedType) {
         case 'weather':
-            return scheduleWeatherEvent(farmState.day, farmState.climate, farmState.season);
+            return scheduleWeatherEvent(farmState.day, farmState.climate, farmState.season, rng);
         case 'market':
-            return scheduleMarketEvent(farmState.day);
+            return scheduleMarketEvent(farmState.day, rng);
         case 'policy':
-            return schedulePolicyEvent(farmState.day, farmState.farmHealth);
+            return schedulePolicyEvent(farmState.day, farmState.farmHealth, rng);
         case 'technology':
-            return generateTechnologyEvent(farmState.day, farmState);
+            return generateTechnologyEvent(farmState.day, farmState, rng);
         default:
-            return scheduleWeatherEvent(farmState.day, farmState.climate, farmState.season);
+            return scheduleWeatherEvent(farmState.day, farmState.climate, farmState.season, rng);
     }
 }
 
 // Schedule a weather event based on current climate data
-function scheduleWeatherEvent(day, climate, season) {
+function scheduleWeatherEvent(day, climate, season, rng) {
     // Determine the type of weather event
     const eventTypes = [
         { id: 'rain', probability: 0.5 },
@@ -64,7 +95,7 @@ function scheduleWeatherEvent(day, climate, season) {
     eventTypes.forEach(type => type.probability /= totalProbability);
     
     // Select event type based on normalized probabilities
-    const roll = Math.random();
+    const roll = rng.random();
     let cumulativeProbability = 0;
     let selectedType = eventTypes[0].id;
     
@@ -77,25 +108,25 @@ function scheduleWeatherEvent(day, climate, season) {
     }
     
     // Schedule the event for a future day
-    const eventDay = day + Math.floor(Math.random() * 20) + 5; // 5-25 days from now
+    const eventDay = day + Math.floor(rng.random() * 20) + 5; // 5-25 days from now
     
     // Create the event based on type
     switch (selectedType) {
         case 'rain':
-            return scheduleRain(eventDay);
+            return scheduleRain(eventDay, rng);
         case 'drought':
-            return scheduleDrought(eventDay, climate.droughtProbability);
+            return scheduleDrought(eventDay, climate.droughtProbability, rng);
         case 'heatwave':
-            return scheduleHeatwave(eventDay);
+            return scheduleHeatwave(eventDay, rng);
         case 'frost':
             return scheduleFrost(eventDay);
         default:
-            return scheduleRain(eventDay);
+            return scheduleRain(eventDay, rng);
     }
 }
 
 // Schedule a market event
-function scheduleMarketEvent(day) {
+function scheduleMarketEvent(day, rng) {
     // Determine the type of market event
     const eventTypes = [
         { id: 'price_increase', probability: 0.4 },
@@ -104,7 +135,7 @@ function scheduleMarketEvent(day) {
     ];
     
     // Select event type based on probabilities
-    const roll = Math.random();
+    const roll = rng.random();
     let cumulativeProbability = 0;
     let selectedType = eventTypes[0].id;
     
@@ -116,23 +147,23 @@ function scheduleMarketEvent(day) {
         }
     }
     
-    const eventDay = day + Math.floor(Math.random() * 15) + 5; // 5-20 days from now
+    const eventDay = day + Math.floor(rng.random() * 15) + 5; // 5-20 days from now
     
     // Create the event based on type
     switch (selectedType) {
         case 'price_increase':
-            return createMarketEvent(eventDay, 'increase');
+            return createMarketEvent(eventDay, 'increase', rng);
         case 'price_decrease':
-            return createMarketEvent(eventDay, 'decrease');
+            return createMarketEvent(eventDay, 'decrease', rng);
         case 'market_opportunity':
-            return createMarketOpportunityEvent(eventDay);
+            return createMarketOpportunityEvent(eventDay, rng);
         default:
-            return createMarketEvent(eventDay, 'increase');
+            return createMarketEvent(eventDay, 'increase', rng);
     }
 }
 
 // Schedule a policy event
-export function schedulePolicyEvent(day, farmHealth) {
+export function schedulePolicyEvent(day, farmHealth, rng) {
     // Determine the type of policy event
     const eventTypes = [
         { id: 'water_restriction', probability: 0.4 },
@@ -141,7 +172,7 @@ export function schedulePolicyEvent(day, farmHealth) {
     ];
     
     // Select event type based on probabilities
-    const roll = Math.random();
+    const roll = rng.random();
     let cumulativeProbability = 0;
     let selectedType = eventTypes[0].id;
     
@@ -153,14 +184,14 @@ export function schedulePolicyEvent(day, farmHealth) {
         }
     }
     
-    const eventDay = day + Math.floor(Math.random() * 20) + 10; // 10-30 days from now
+    const eventDay = day + Math.floor(rng.random() * 20) + 10; // 10-30 days from now
     
     // Create the event based on type
-    return generatePolicyEvent(eventDay, farmHealth, selectedType);
+    return generatePolicyEvent(eventDay, farmHealth, selectedType, rng);
 }
 
 // Generate technology event
-export function generateTechnologyEvent(day, farmState) {
+export function generateTechnologyEvent(day, farmState, rng) {
     // Determine the type of technology event
     const eventTypes = [
         { id: 'innovation_grant', probability: 0.5 },
@@ -169,7 +200,7 @@ export function generateTechnologyEvent(day, farmState) {
     ];
     
     // Select event type based on probabilities
-    const roll = Math.random();
+    const roll = rng.random();
     let cumulativeProbability = 0;
     let selectedType = eventTypes[0].id;
     
@@ -181,23 +212,23 @@ export function generateTechnologyEvent(day, farmState) {
         }
     }
     
-    const eventDay = day + Math.floor(Math.random() * 30) + 5; // 5-35 days from now
+    const eventDay = day + Math.floor(rng.random() * 30) + 5; // 5-35 days from now
     
     // Create the event based on type
     switch (selectedType) {
         case 'innovation_grant':
-            return createInnovationGrantEvent(eventDay, farmState);
+            return createInnovationGrantEvent(eventDay, farmState, rng);
         case 'research_breakthrough':
-            return createResearchBreakthroughEvent(eventDay);
+            return createResearchBreakthroughEvent(eventDay, rng);
         case 'technology_setback':
-            return createTechnologySetbackEvent(eventDay);
+            return createTechnologySetbackEvent(eventDay, rng);
         default:
-            return createInnovationGrantEvent(eventDay, farmState);
+            return createInnovationGrantEvent(eventDay, farmState, rng);
     }
 }
 
 // Create innovation grant event that scales with technology adoption
-function createInnovationGrantEvent(day, farmState) {
+function createInnovationGrantEvent(day, farmState, rng) {
     // Only award meaningful grants if the farm has researched some technologies
     const techCount = farmState?.researchedTechs?.length || 0;
     
@@ -207,7 +238,7 @@ function createInnovationGrantEvent(day, farmState) {
     
     if (techCount === 0) {
         // No technologies researched - very small grant or no grant at all
-        if (Math.random() < 0.2) {
+        if (rng.random() < 0.2) {
             // 20% chance of a tiny starter grant to encourage research
             grantAmount = 2000;
             message = `You received a small $${grantAmount} starter grant for farm innovation. Consider investing in research.`;
@@ -244,9 +275,9 @@ function createInnovationGrantEvent(day, farmState) {
 }
 
 // Create research breakthrough event
-function createResearchBreakthroughEvent(day) {
+function createResearchBreakthroughEvent(day, rng) {
     // Random duration for the breakthrough effect (15-30 days)
-    const duration = Math.floor(Math.random() * 16) + 15;
+    const duration = Math.floor(rng.random() * 16) + 15;
     
     return {
         type: 'technology',
@@ -259,9 +290,9 @@ function createResearchBreakthroughEvent(day) {
 }
 
 // Create technology setback event
-function createTechnologySetbackEvent(day) {
+function createTechnologySetbackEvent(day, rng) {
     // Random setback amount
-    const setbackAmount = Math.floor(Math.random() * 3000) + 2000;
+    const setbackAmount = Math.floor(rng.random() * 3000) + 2000;
     
     return {
         type: 'technology',
@@ -273,23 +304,23 @@ function createTechnologySetbackEvent(day) {
 }
 
 // Schedule rain event
-export function scheduleRain(day) {
+export function scheduleRain(day, rng) {
     // Determine intensity of rain
-    const intensity = Math.random();
+    const intensity = rng.random();
     let severity, message, waterIncrease;
     
     if (intensity < 0.3) {
         severity = 'light';
         message = 'Light rainfall has slightly increased water levels.';
-        waterIncrease = 5 + Math.floor(Math.random() * 5); // 5-10%
+        waterIncrease = 5 + Math.floor(rng.random() * 5); // 5-10%
     } else if (intensity < 0.7) {
         severity = 'moderate';
         message = 'Moderate rainfall has increased water levels across your farm.';
-        waterIncrease = 10 + Math.floor(Math.random() * 10); // 10-20%
+        waterIncrease = 10 + Math.floor(rng.random() * 10); // 10-20%
     } else {
         severity = 'heavy';
         message = 'Heavy rainfall has increased water levels but may have caused soil erosion.';
-        waterIncrease = 15 + Math.floor(Math.random() * 15); // 15-30%
+        waterIncrease = 15 + Math.floor(rng.random() * 15); // 15-30%
     }
     
     const forecastMessage = 'Weather forecast: ' + severity + ' rain expected soon.';
@@ -307,22 +338,22 @@ export function scheduleRain(day) {
 }
 
 // Schedule drought event
-export function scheduleDrought(day, baseProbability) {
+export function scheduleDrought(day, baseProbability, rng) {
     // Calculate severity and duration
-    const severityRoll = Math.random();
+    const severityRoll = rng.random();
     let severity, duration, message;
     
     if (severityRoll < 0.6) {
         severity = 'mild';
-        duration = Math.floor(Math.random() * 3) + 3; // 3-5 days
+        duration = Math.floor(rng.random() * 3) + 3; // 3-5 days
         message = 'Drought conditions affecting your farm. Water levels are dropping slowly.';
     } else if (severityRoll < 0.9) {
         severity = 'moderate';
-        duration = Math.floor(Math.random() * 4) + 5; // 5-8 days
+        duration = Math.floor(rng.random() * 4) + 5; // 5-8 days
         message = 'Moderate drought conditions! Water levels are dropping and crops are stressed.';
     } else {
         severity = 'severe';
-        duration = Math.floor(Math.random() * 5) + 7; // 7-11 days
+        duration = Math.floor(rng.random() * 5) + 7; // 7-11 days
         message = 'Severe drought conditions! Water levels are critically low and crops are at high risk.';
     }
     
@@ -343,9 +374,9 @@ export function scheduleDrought(day, baseProbability) {
 }
 
 // Schedule heatwave event
-export function scheduleHeatwave(day) {
+export function scheduleHeatwave(day, rng) {
     // Determine duration of heatwave
-    const duration = Math.floor(Math.random() * 4) + 2; // 2-5 days
+    const duration = Math.floor(rng.random() * 4) + 2; // 2-5 days
     
     // Schedule the heatwave event
     return {
@@ -371,16 +402,16 @@ export function scheduleFrost(day) {
 }
 
 // Create market event
-function createMarketEvent(day, direction) {
+function createMarketEvent(day, direction, rng) {
     // Random crop and amount
-    const cropIndex = Math.floor(Math.random() * 5) + 1; // Skip 'empty' at index 0
+    const cropIndex = Math.floor(rng.random() * 5) + 1; // Skip 'empty' at index 0
     const cropId = ['empty', 'corn', 'lettuce', 'almonds', 'strawberries', 'grapes'][cropIndex];
     const cropName = ['Empty Plot', 'Corn', 'Lettuce', 'Almonds', 'Strawberries', 'Grapes'][cropIndex];
     
     // Determine magnitude of price change
     let changePercent;
     if (direction === 'increase') {
-        changePercent = 10 + Math.floor(Math.random() * 30); // 10-40%
+        changePercent = 10 + Math.floor(rng.random() * 30); // 10-40%
         
         return {
             type: 'market',
@@ -393,7 +424,7 @@ function createMarketEvent(day, direction) {
             isAlert: false
         };
     } else {
-        changePercent = 10 + Math.floor(Math.random() * 30); // 10-40%
+        changePercent = 10 + Math.floor(rng.random() * 30); // 10-40%
         
         return {
             type: 'market',
@@ -409,12 +440,12 @@ function createMarketEvent(day, direction) {
 }
 
 // Create market opportunity event
-function createMarketOpportunityEvent(day) {
+function createMarketOpportunityEvent(day, rng) {
     // Random crop and bonus
-    const cropIndex = Math.floor(Math.random() * 5) + 1; // Skip 'empty' at index 0
+    const cropIndex = Math.floor(rng.random() * 5) + 1; // Skip 'empty' at index 0
     const cropId = ['empty', 'corn', 'lettuce', 'almonds', 'strawberries', 'grapes'][cropIndex];
     const cropName = ['Empty Plot', 'Corn', 'Lettuce', 'Almonds', 'Strawberries', 'Grapes'][cropIndex];
-    const bonusPercent = 30 + Math.floor(Math.random() * 30); // 30-60%
+    const bonusPercent = 30 + Math.floor(rng.random() * 30); // 30-60%
     
     return {
         type: 'market',
@@ -425,16 +456,16 @@ function createMarketOpportunityEvent(day) {
         message: `Market opportunity! ${cropName} prices have temporarily increased by ${bonusPercent}%. Consider harvesting soon!`,
         forecastMessage: `Market news: Special demand expected for certain crops.`,
         isAlert: false,
-        duration: Math.floor(Math.random() * 10) + 5 // 5-15 days
+        duration: Math.floor(rng.random() * 10) + 5 // 5-15 days
     };
 }
 
 // Generate policy event
-export function generatePolicyEvent(day, farmHealth, policyType = null) {
+export function generatePolicyEvent(day, farmHealth, policyType = null, rng) {
     // If no policy type provided, choose randomly
     if (!policyType) {
         const policies = ['water_restriction', 'environmental_subsidy', 'new_regulations'];
-        policyType = policies[Math.floor(Math.random() * policies.length)];
+        policyType = policies[Math.floor(rng.random() * policies.length)];
     }
     
     // Create specific policy event
@@ -444,10 +475,11 @@ export function generatePolicyEvent(day, farmHealth, policyType = null) {
                 type: 'policy',
                 day,
                 policyType,
-                message: 'Water restriction policy enacted. Irrigation costs have increased by 50%.',
+                message: 'Water restriction policy enacted. Irrigation costs have increased by 50% for the next 90 days.',
                 forecastMessage: 'Policy update: New Water Restriction policy being considered by local government.',
                 isAlert: true,
                 irrigationCostIncrease: 0.5, // 50% increase
+                duration: 90,
                 balanceChange: 0
             };
             
@@ -482,28 +514,57 @@ export function generatePolicyEvent(day, farmHealth, policyType = null) {
                 type: 'policy',
                 day,
                 policyType: 'water_restriction',
-                message: 'Water restriction policy enacted. Irrigation costs have increased by 50%.',
+                message: 'Water restriction policy enacted. Irrigation costs have increased by 50% for the next 90 days.',
                 forecastMessage: 'Policy update: New policy being considered by local government.',
                 isAlert: true,
                 irrigationCostIncrease: 0.5,
+                duration: 90,
                 balanceChange: 0
             };
     }
 }
 
 // Apply rain event
-export function applyRainEvent(event, grid, waterReserve, techs = []) {
+export function applyRainEvent(event, grid, waterReserve, techs = [], rng) {
     let newWaterReserve = waterReserve;
     
     // Increase water reserve
     newWaterReserve = Math.min(100, newWaterReserve + event.waterIncrease);
+
+    // Precise fertilizer placement leaves less nitrate for a downpour to flush out
+    const fertilizerEfficiency = getTechEffectValue('fertilizerEfficiency', techs || []);
+    let nitrateLeached = 0;
+
+    // Rain erodes every plot by the USLE; no-till residue protects the surface
+    const erosivity = getRainfallErosivity(event);
+    const erosionReduction = getErosionReduction(techs || []);
+    let soilLost = 0;
+
+    // Water shed by saturated plots, passed downslope once every plot has had its rain
+    const runoff = grid.map(cells => cells.map(() => 0));
+    let floodedPlots = 0;
     
     // Apply to each cell on the grid
     for (let row = 0; row < grid.length; row++) {
         for (let col = 0; col < grid[row].length; col++) {
+            // Heavy rain washes surplus nitrate and salts out of every plot, planted or not
+            if (event.severity === 'heavy') {
+                nitrateLeached += grid[row][col].leachNitrate(HEAVY_RAIN_LEACHING / fertilizerEfficiency);
+                grid[row][col].leachSalts(SOIL_SALINITY.heavyRainFlush);
+            }
+            soilLost += grid[row][col].erode(erosivity, erosionReduction);
+
+            // A downpour sends the creek over its banks into the flood zone
+            if (event.severity === 'heavy' && grid[row][col].floodZone) {
+                grid[row][col].flood(CREEK_FLOOD);
+                floodedPlots++;
+            }
+
             // Only apply water to cells with crops
             if (grid[row][col].crop.id !== 'empty') {
+                const runoffBefore = grid[row][col].waterLosses.runoff;
                 grid[row][col].applyEnvironmentalEffect('water-increase', event.waterIncrease * 0.6);
+                runoff[row][col] = grid[row][col].waterLosses.runoff - runoffBefore;
                 
                 // Heavy rain can damage soil
                 if (event.severity === 'heavy') {
@@ -512,27 +573,25 @@ export function applyRainEvent(event, grid, waterReserve, techs = []) {
                     if (techs && techs.includes('no_till_farming')) {
                         protection = 0.5; // 50% reduction with no-till
                     }
-                    grid[row][col].applyEnvironmentalEffect('soil-damage', 1 + Math.random() * 2, protection);
+                    grid[row][col].applyEnvironmentalEffect('soil-damage', 1 + rng.random() * 2, protection);
                 }
             }
         }
     }
+    const runOn = routeRunoff(grid, runoff);
     
     return {
         waterReserve: newWaterReserve,
+        nitrateLeached, // Total over all plots (lb/acre summed)
+        soilLost,       // Total over all plots (tons/acre summed)
+        runOn,          // Runoff soaked up by downslope plots (mm summed)
+        floodedPlots,   // Flood zone plots the creek flooded
         message: event.message
     };
 }
 
-// Apply drought event
+// Apply one day of a drought event (the scheduler fires it on each day of its duration)
 export function applyDroughtEvent(event, grid, waterReserve, techs = []) {
-    // Check if we should skip this event (for consecutive drought days)
-    if (event.duration <= 0) {
-        return {
-            skipped: true
-        };
-    }
-    
     let newWaterReserve = waterReserve;
     
     // Decrease water reserve
@@ -550,42 +609,32 @@ export function applyDroughtEvent(event, grid, waterReserve, techs = []) {
     // Apply to each cell on the grid
     for (let row = 0; row < grid.length; row++) {
         for (let col = 0; col < grid[row].length; col++) {
+            // Evaporation draws salts up into the root zone, planted or not
+            grid[row][col].applyEnvironmentalEffect('salinity-increase', SOIL_SALINITY.droughtRise * severityFactor);
+
             // Only apply drought to cells with crops
             if (grid[row][col].crop.id !== 'empty') {
                 // Water decrease effect
                 grid[row][col].applyEnvironmentalEffect('water-decrease', dailyWaterLoss * 0.75, droughtProtection);
                 
-                // Yield damage effect for severe drought
+                // Yield damage effect for severe drought, worst at water-sensitive stages
                 if (event.severity === 'severe') {
-                    grid[row][col].applyEnvironmentalEffect('yield-damage', 3, droughtProtection);
+                    const stageFactor = grid[row][col].stage.waterSensitivity;
+                    grid[row][col].applyEnvironmentalEffect('yield-damage', 3 * stageFactor, droughtProtection);
                 }
             }
         }
     }
     
-    // Check if drought continues
-    const continueEvent = event.duration > 1;
-    const nextDuration = event.duration - 1;
-    
     return {
         waterReserve: newWaterReserve,
         message: event.message || "Drought conditions affecting your farm.", // Default message to prevent undefined
-        skipped: false,
-        continueEvent,
-        nextDuration,
         severity: event.severity
     };
 }
 
-// Apply heatwave event
+// Apply one day of a heatwave event (the scheduler fires it on each day of its duration)
 export function applyHeatwaveEvent(event, grid, waterReserve, techs = []) {
-    // Check if we should skip this event (for consecutive heatwave days)
-    if (event.duration <= 0) {
-        return {
-            skipped: true
-        };
-    }
-    
     let newWaterReserve = waterReserve;
     
     // Decrease water reserve
@@ -604,30 +653,26 @@ export function applyHeatwaveEvent(event, grid, waterReserve, techs = []) {
         for (let col = 0; col < grid[row].length; col++) {
             // Only apply heatwave to cells with crops
             if (grid[row][col].crop.id !== 'empty') {
+                // Windbreaks, hedgerows and shade trees nearby take the edge off the heat
+                const protection = heatProtection * (1 - getNeighborEffects(grid, row, col).heatProtection);
+
                 // Water decrease effect
-                grid[row][col].applyEnvironmentalEffect('water-decrease', dailyWaterLoss, heatProtection);
+                grid[row][col].applyEnvironmentalEffect('water-decrease', dailyWaterLoss, protection);
                 
                 // Additional effects based on crop heat sensitivity if defined
                 const crop = grid[row][col].crop;
                 if (crop.heatSensitivity) {
-                    // Higher sensitivity means more damage
-                    const heatDamage = 2 * (crop.heatSensitivity || 1.0);
-                    grid[row][col].applyEnvironmentalEffect('yield-damage', heatDamage, heatProtection);
+                    // Higher sensitivity means more damage; a heatwave at flowering hurts most
+                    const heatDamage = 2 * (crop.heatSensitivity || 1.0) * grid[row][col].stage.heatSensitivity;
+                    grid[row][col].applyEnvironmentalEffect('yield-damage', heatDamage, protection);
                 }
             }
         }
     }
     
-    // Check if heatwave continues
-    const continueEvent = event.duration > 1;
-    const nextDuration = event.duration - 1;
-    
     return {
         waterReserve: newWaterReserve,
-        message: event.message || "Heatwave affecting your farm.", // Default message to prevent undefined
-        skipped: false,
-        continueEvent,
-        nextDuration
+        message: event.message || "Heatwave affecting your farm." // Default message to prevent undefined
     };
 }
 
@@ -645,9 +690,8 @@ export function applyFrostEvent(event, grid, techs = []) {
             // Only apply frost to cells with crops
             if (grid[row][col].crop.id !== 'empty') {
                 // Yield damage effect
-                // Young plants (low growth progress) are more vulnerable
-                const growthProtectionFactor = Math.min(1, grid[row][col].growthProgress / 50);
-                const frostDamage = 5 * (1 - growthProtectionFactor);
+                // Seedlings and blossoms are the most vulnerable stages
+                const frostDamage = 4 * grid[row][col].stage.frostVulnerability;
                 
                 grid[row][col].applyEnvironmentalEffect('yield-damage', frostDamage, frostProtection);
             }
@@ -674,13 +718,9 @@ export function applyMarketEvent(event, marketPrices, crops) {
         
         // Floor the price decrease
         newMarketPrices[event.cropId] = Math.max(0.4, newMarketPrices[event.cropId]);
-    } 
-    else if (event.direction === 'opportunity') {
-        newMarketPrices[event.cropId] = newMarketPrices[event.cropId] * (1 + (event.changePercent / 100));
-        
-        // Cap the price increase
-        newMarketPrices[event.cropId] = Math.min(3.0, newMarketPrices[event.cropId]);
     }
+    // Opportunities are temporary: the game adds a timed crop price modifier
+    // (see getEventModifiers) instead of changing the base price
     
     return {
         marketPrices: newMarketPrices,
@@ -688,6 +728,76 @@ export function applyMarketEvent(event, marketPrices, crops) {
     };
 }
 
+// Timed modifiers an event puts in place once applied (empty for one-off events).
+// The game stamps each with the day it starts.
+export function getEventModifiers(event) {
+    if (event.type === 'market' && event.direction === 'opportunity') {
+        return [{
+            target: MODIFIER_TARGETS.cropPrice,
+            cropId: event.cropId,
+            multiplier: 1 + (event.changePercent / 100),
+            duration: event.duration,
+            label: 'Market opportunity'
+        }];
+    }
+    if (event.type === 'policy' && event.irrigationCostIncrease) {
+        return [{
+            target: MODIFIER_TARGETS.irrigationCost,
+            multiplier: 1 + event.irrigationCostIncrease,
+            duration: event.duration || 90,
+            label: 'Water restriction'
+        }];
+    }
+    if (event.type === 'policy' && event.fertilizerCostIncrease) {
+        return [{
+            target: MODIFIER_TARGETS.fertilizerCost,
+            multiplier: 1 + event.fertilizerCostIncrease,
+            duration: event.duration || 180,
+            label: 'Nitrogen management fee'
+        }];
+    }
+    if (event.type === 'technology' && event.subType === 'research_breakthrough') {
+        return [{
+            target: MODIFIER_TARGETS.researchCost,
+            multiplier: 1 - event.discount,
+            duration: event.duration,
+            label: 'Research breakthrough'
+        }];
+    }
+    return [];
+}
+
+// Regulators respond to groundwater nitrate above the drinking water limit with a fine
+// that grows with the exceedance and a fee on fertilizer purchases
+export function createNitrateViolationEvent(day, concentration, limit, rng) {
+    const fine = Math.round((2000 + 1000 * (concentration - limit)) / 100) * 100;
+    return {
+        type: 'policy',
+        day: day + Math.floor(rng.random() * 10) + 5, // 5-15 days from now
+        policyType: 'nitrate_violation',
+        message: `Regulators fined you $${fine} for nitrate in the groundwater (${concentration.toFixed(1)} mg/L). A nitrogen management fee adds 25% to fertilizer costs for the next 180 days.`,
+        forecastMessage: 'Policy update: The water board is reviewing nitrate levels in wells near your farm.',
+        isAlert: true,
+        balanceChange: -fine,
+        fertilizerCostIncrease: 0.25,
+        duration: 180
+    };
+}
+
+// In a moderate or severe drought the water district offers to pay farms for leaving
+// plots fallow, as Imperial Valley districts do to free water for the cities.
+// Plots can be enrolled for 30 days; they must stay idle for 180 days to be paid.
+export function createFallowingAgreement(day, severity) {
+    const severityFactor = severity === 'severe' ? 3 : 2;
+    return {
+        offeredDay: day,
+        enrollUntil: day + 30,
+        endDay: day + 180,
+        severity,
+        paymentPerPlot: 150 * severityFactor
+    };
+}
+
 // Apply policy event
 export function applyPolicyEvent(event, balance) {
     const newBalance = balance + (event.balanceChange || 0);
@@ -710,7 +820,7 @@ export function applyTechnologyEvent(event, balance, researchedTechs = []) {
             newBalance += event.amount;
             break;
         case 'research_breakthrough':
-            // This is handled in the game's research cost calculation
+            // The discount is a timed research cost modifier (see getEventModifiers)
             // No immediate balance change
             break;
         case 'technology_setback':
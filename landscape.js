@@ -0,0 +1,160 @@
+/**
+ * California Climate Farmer - Farm Layout and Neighbor Effects
+ *
+ * This file contains the landscape features a plot can be given over to and
+ * the effects plots have on their neighbors, so the layout of the farm
+ * matters and not only what grows in each plot.
+ *
+ * Windbreaks (and, on a smaller scale, hedgerows) shelter the plots downwind
+ * of them: the prevailing wind comes from the west (the left of the farm map),
+ * so shelter reaches a few plots to the east, cutting water use and heat
+ * damage. Shade trees (silvopasture) do the same for the plots around them.
+ * Pollinator habitat raises the yields of pollinator-dependent crops nearby.
+ * Water that runs off a saturated plot flows on to its lowest neighbor (by the
+ * elevations of the farm's terrain), which soaks up what it can.
+ */
+
+import { getNeighbors } from './pests.js';
+
+// Features a plot can be given over to instead of a crop. `kc` and `cFactor` describe the
+// ground cover (water use and USLE cover factor); `shelterRange` is how many plots downwind
+// a windbreak protects, with `etReduction`/`heatProtection` the effect on the nearest one;
+// `shadeRange` the distance shade trees cover; `pollinationRange` the distance pollinators
+// forage and `pollinationBoost` the yield gain for the crops that depend on them.
+export const LANDSCAPE_FEATURES = {
+    windbreak: {
+        id: 'windbreak',
+        name: 'Windbreak',
+        cost: 700,
+        color: '#2f5d3a',
+        kc: 0.6,
+        cFactor: 0.01,
+        shelterRange: 4,
+        etReduction: 0.2,
+        heatProtection: 0.4
+    },
+    shade_trees: {
+        id: 'shade_trees',
+        name: 'Shade Trees',
+        cost: 600,
+        color: '#5b7f3a',
+        kc: 0.7,
+        cFactor: 0.01,
+        requiresTech: 'silvopasture',
+        shadeRange: 1,
+        etReduction: 0.1,
+        heatProtection: 0.5
+    },
+    pollinator_habitat: {
+        id: 'pollinator_habitat',
+        name: 'Pollinator Habitat',
+        cost: 300,
+        color: '#c58fd6',
+        kc: 0.4,
+        cFactor: 0.05,
+        pollinationRange: 2,
+        pollinationBoost: { almonds: 0.15, strawberries: 0.1 }
+    }
+};
+
+// A hedgerow along a plot is a small windbreak for the next plot downwind
+export const HEDGEROW_SHELTER = Object.freeze({
+    shelterRange: 1,
+    etReduction: 0.1,
+    heatProtection: 0.2
+});
+
+// Share of the runoff from a plot that reaches the plot downslope (the rest is lost to ditches)
+export const RUNOFF_RUN_ON = 0.7;
+
+// Helper function to find a landscape feature by ID (null if unknown)
+export function getFeatureById(id) {
+    return LANDSCAPE_FEATURES[id] || null;
+}
+
+// Shelter (0-1 of full strength) a windbreak or hedgerow gives a plot `distance` plots downwind
+function shelterAt(shelter, distance) {
+    if (distance < 1 || distance > shelter.shelterRange) return 0;
+    return 1 - (distance - 1) / shelter.shelterRange;
+}
+
+// What the neighbors do for a plot: `etFactor` scales its water use, `heatProtection` is the
+// share of heat damage avoided and `pollination` the yield gain for its crop.
+export function getNeighborEffects(grid, row, col) {
+    let windReduction = 0;
+    let windHeat = 0;
+    let shadeReduction = 0;
+    let shadeHeat = 0;
+    let pollination = 0;
+    const cropId = grid[row][col].crop.id;
+
+    grid.forEach((cells, r) => cells.forEach((cell, c) => {
+        if (r === row && c === col) return;
+
+        // Windbreaks and hedgerows upwind: to the west in the same row
+        if (r === row && c < col) {
+            [
+                cell.feature === 'windbreak' ? LANDSCAPE_FEATURES.windbreak : null,
+                cell.hedgerow ? HEDGEROW_SHELTER : null
+            ].filter(Boolean).forEach(shelter => {
+                const strength = shelterAt(shelter, col - c);
+                windReduction = Math.max(windReduction, shelter.etReduction * strength);
+                windHeat = Math.max(windHeat, shelter.heatProtection * strength);
+            });
+        }
+
+        const distance = Math.max(Math.abs(r - row), Math.abs(c - col));
+        const feature = getFeatureById(cell.feature);
+        if (!feature) return;
+
+        // Shade trees shade the plots around them
+        if (feature.shadeRange && distance <= feature.shadeRange) {
+            shadeReduction = Math.max(shadeReduction, feature.etReduction);
+            shadeHeat = Math.max(shadeHeat, feature.heatProtection);
+        }
+
+        // Pollinators forage from their habitat
+        if (feature.pollinationRange && distance <= feature.pollinationRange) {
+            pollination = Math.max(pollination, feature.pollinationBoost[cropId] || 0);
+        }
+    }));
+
+    return {
+        etFactor: (1 - windReduction) * (1 - shadeReduction),
+        heatProtection: 1 - (1 - windHeat) * (1 - shadeHeat),
+        pollination
+    };
+}
+
+// The lowest neighbor (up, down, left or right) lying below a plot, or null if there is none
+function getDownslopeNeighbor(grid, row, col) {
+    const elevation = grid[row][col].elevation;
+    return getNeighbors(grid, row, col)
+        .filter(neighbor => neighbor.cell.elevation < elevation)
+        .reduce((lowest, neighbor) => (!lowest || neighbor.cell.elevation < lowest.cell.elevation ? neighbor : lowest), null);
+}
+
+// Route runoff (mm per plot, a grid-shaped array) downhill: from the highest plot down, each
+// plot passes its share on to its downslope neighbor, which soaks up what it can and passes
+// its own excess on. Water leaves the farm from plots with no lower neighbor.
+// Returns the water (mm, summed over plots) that soaked into downslope plots.
+export function routeRunoff(grid, runoff) {
+    const flowing = runoff.map(row => [...row]);
+    const plots = grid
+        .flatMap((cells, row) => cells.map((cell, col) => ({ row, col, elevation: cell.elevation })))
+        .sort((a, b) => b.elevation - a.elevation);
+    let captured = 0;
+
+    plots.forEach(({ row, col }) => {
+        const runOn = flowing[row][col] * RUNOFF_RUN_ON;
+        if (runOn <= 0) return;
+
+        const downslope = getDownslopeNeighbor(grid, row, col);
+        if (!downslope) return;
+
+        const excess = downslope.cell.addWater(runOn);
+        captured += runOn - excess;
+        flowing[downslope.row][downslope.col] += excess;
+    });
+    return captured;
+}
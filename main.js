@@ -8,7 +8,7 @@
 console.log('Loading main.js...');
 
 // Use dynamic imports with error handling
-let CaliforniaClimateFarmer, TestHarness;
+let CaliforniaClimateFarmer, TestHarness, Persistence;
 
 async function loadModules() {
     try {
@@ -16,6 +16,7 @@ async function loadModules() {
         const gameModule = await import('./game.js');
         CaliforniaClimateFarmer = gameModule.CaliforniaClimateFarmer;
         console.log('Successfully imported game.js');
+        Persistence = await import('./persistence.js');
         
         try {
             console.log('Importing test-harness.js...');
@@ -73,6 +74,20 @@ function initializeGameControls() {
         console.error('Regular game button not found in DOM');
     }
 
+    // Handle continue button (loads the autosave slot; disabled until there is one)
+    const continueGameBtn = document.getElementById('continue-game-btn');
+    if (continueGameBtn) {
+        const newContinueGameBtn = continueGameBtn.cloneNode(true);
+        continueGameBtn.parentNode.replaceChild(newContinueGameBtn, continueGameBtn);
+        newContinueGameBtn.disabled = !Persistence || !Persistence.hasSave(Persistence.AUTOSAVE_SLOT);
+
+        newContinueGameBtn.addEventListener('click', () => {
+            console.log("main.js: Continue game button click handler running!");
+            splashScreen.style.display = 'none';
+            startRegularGame(Persistence.AUTOSAVE_SLOT);
+        });
+    }
+
     // TEST MODE setup
     const testModeBtn = document.getElementById('test-mode-btn');
     const testOptions = document.getElementById('test-options');
@@ -195,7 +210,7 @@ function initializeGameControls() {
     }
 }
 
-function startRegularGame() {
+function startRegularGame(saveSlot = null) {
     if (!CaliforniaClimateFarmer) {
         console.error("Game module not loaded. Cannot start game.");
         alert("Error: Game module not loaded. Check console for details.");
@@ -206,6 +221,10 @@ function startRegularGame() {
         // Initialize the game normally
         console.log("Creating game instance...");
         gameInstance = new CaliforniaClimateFarmer();
+        if (saveSlot) {
+            console.log(`Loading saved game from slot "${saveSlot}"...`);
+            gameInstance.loadGame(saveSlot);
+        }
         console.log("Game instance created, starting...");
         gameInstance.start();
         console.log("Game started successfully");
@@ -0,0 +1,97 @@
+/**
+ * California Climate Farmer - Timed Modifiers
+ *
+ * This file contains the active-modifiers system. Events (and later any other
+ * system) can attach temporary multipliers to costs, prices, water use, growth
+ * and yield. Modifiers on the same target stack multiplicatively and expire on
+ * their own once their duration has run out.
+ */
+
+// Everything a modifier can scale
+export const MODIFIER_TARGETS = Object.freeze({
+    plantingCost: 'plantingCost',
+    irrigationCost: 'irrigationCost',
+    fertilizerCost: 'fertilizerCost',
+    researchCost: 'researchCost',
+    cropPrice: 'cropPrice',
+    waterUse: 'waterUse',
+    growth: 'growth',
+    yield: 'yield'
+});
+
+// Collection of active modifiers, keyed on absolute simulation day
+export class ModifierSet {
+    constructor() {
+        this.modifiers = [];
+        this.nextId = 1;
+    }
+
+    // Add a modifier active on days [startDay, startDay + duration); returns the new modifier.
+    // `cropId` limits crop-specific targets (price, growth, yield...) to one crop.
+    add({ target, multiplier, startDay, duration, label = target, source = null, cropId = null }) {
+        if (!Object.values(MODIFIER_TARGETS).includes(target)) {
+            throw new Error(`Unknown modifier target: '${target}'`);
+        }
+
+        const modifier = {
+            id: this.nextId++,
+            target,
+            multiplier,
+            startDay,
+            expiresDay: startDay + Math.max(1, Math.floor(duration)),
+            label,
+            source,
+            cropId
+        };
+        this.modifiers.push(modifier);
+        return modifier;
+    }
+
+    // Remove a modifier early; returns the removed modifier (or null if unknown)
+    remove(id) {
+        const index = this.modifiers.findIndex(modifier => modifier.id === id);
+        if (index === -1) return null;
+        return this.modifiers.splice(index, 1)[0];
+    }
+
+    // Combined multiplier for a target (1.0 when nothing applies)
+    getMultiplier(target, cropId = null) {
+        return this.modifiers
+            .filter(modifier => modifier.target === target)
+            .filter(modifier => !modifier.cropId || modifier.cropId === cropId)
+            .reduce((total, modifier) => total * modifier.multiplier, 1.0);
+    }
+
+    // Drop modifiers that have run out by the given day; returns the expired ones
+    expire(day) {
+        const expired = this.modifiers.filter(modifier => modifier.expiresDay <= day);
+        this.modifiers = this.modifiers.filter(modifier => modifier.expiresDay > day);
+        return expired;
+    }
+
+    // Active modifiers with the number of days each one has left
+    list(day) {
+        return this.modifiers.map(modifier => ({
+            ...modifier,
+            daysLeft: modifier.expiresDay - day
+        }));
+    }
+
+    get size() {
+        return this.modifiers.length;
+    }
+
+    // Save/restore
+    serialize() {
+        return {
+            nextId: this.nextId,
+            modifiers: this.modifiers.map(modifier => ({ ...modifier }))
+        };
+    }
+    static deserialize(data) {
+        const set = new ModifierSet();
+        set.nextId = data.nextId;
+        set.modifiers = data.modifiers.map(modifier => ({ ...modifier }));
+        return set;
+    }
+}
@@ -0,0 +1,388 @@
+/**
+ * California Climate Farmer - Save/Load System
+ *
+ * This file handles serializing the full game state to localStorage, named save
+ * slots, and the schema migrations that keep older saves loadable after crop or
+ * technology definitions change.
+ */
+
+import { Cell } from './cell.js';
+import { createTechnologyTree } from './technology.js';
+import { EventScheduler } from './scheduler.js';
+import { ModifierSet } from './modifiers.js';
+import { getCropById, isPerennial } from './crops.js';
+import { DEFAULT_TEMPERATURE_CLIMATE, getSeasonalTemperature, calculateReferenceET } from './weather.js';
+import {
+    SOIL_WATER, NUTRIENTS, INITIAL_NUTRIENTS, GROUNDWATER_NITRATE, SOIL_ORGANIC_MATTER, SOIL_SALINITY,
+    getFertilizerById, calculateSoilHealth
+} from './soils.js';
+import { getEventTiming } from './events.js';
+import { createPesticideResistance } from './pests.js';
+import { calculateElevations } from './terrain.js';
+
+// Bump this whenever the shape of the saved data changes, and add a migration below
+export const SAVE_SCHEMA_VERSION = 14;
+
+// Slot used by the periodic autosave
+export const AUTOSAVE_SLOT = 'autosave';
+
+// All saves live under this localStorage key prefix
+const STORAGE_PREFIX = 'californiaClimateFarmer.save.';
+
+// Migration hooks, keyed by the schema version they upgrade FROM.
+// Each function receives the raw save data at that version and must return
+// data in the shape of the next version.
+export const migrations = {
+    // v1 -> v2: pending events keyed on day-of-year become an absolute-day scheduler.
+    // Events still ahead in the year (or past day 360, which v1 never fired) are kept;
+    // anything at or before the saved day was already applied or stuck, so it is dropped.
+    1: data => {
+        const yearStart = (data.year - 1) * 360;
+        const scheduler = new EventScheduler();
+        (data.pendingEvents || [])
+            .filter(event => event.day > data.day)
+            .forEach(event => {
+                const absoluteEvent = { ...event, day: yearStart + event.day };
+                scheduler.schedule(absoluteEvent, getEventTiming(absoluteEvent));
+            });
+
+        const { pendingEvents, ...rest } = data;
+        return { ...rest, scheduler: scheduler.serialize() };
+    },
+
+    // v2 -> v3: timed modifiers (none were tracked before)
+    2: data => ({ ...data, modifiers: new ModifierSet().serialize() }),
+
+    // v3 -> v4: growth runs on degree-days. Temperature climate parameters had no effect
+    // before, so the defaults replace them; add today's weather and estimate each planted
+    // cell's degree-days from its progress.
+    3: data => {
+        const climate = { ...data.climate, ...DEFAULT_TEMPERATURE_CLIMATE };
+        return {
+            ...data,
+            climate,
+            weather: getSeasonalTemperature(data.day, climate),
+            grid: data.grid.map(row => row.map(cell => ({
+                ...cell,
+                accumulatedGDD: (cell.growthProgress / 100) * (getCropById(cell.crop).gddToMaturity || 0)
+            })))
+        };
+    },
+
+    // v4 -> v5: cell water is a soil water balance in mm. The old 0-100+ water level
+    // becomes moisture relative to field capacity; today's weather gains reference ET.
+    4: data => ({
+        ...data,
+        weather: { ...data.weather, et0: calculateReferenceET(data.weather.tMin, data.weather.tMax, data.day) },
+        grid: data.grid.map(row => row.map(({ waterLevel, ...cell }) => ({
+            ...cell,
+            fieldCapacity: SOIL_WATER.fieldCapacity,
+            soilMoisture: Math.min(waterLevel, 100 * SOIL_WATER.saturationRatio) / 100 * SOIL_WATER.fieldCapacity,
+            waterLosses: { et: 0, drainage: 0, runoff: 0 }
+        })))
+    }),
+
+    // v5 -> v6: the fertilized flag becomes N/P/K pools. Each planted crop is assumed to
+    // have taken up its share of nutrients so far from the starting pools, and a fertilized
+    // plot keeps one standard application of balanced fertilizer.
+    5: data => ({
+        ...data,
+        grid: data.grid.map(row => row.map(({ fertilized, ...cell }) => {
+            const crop = getCropById(cell.crop);
+            const share = Math.min(1, cell.growthProgress / 100);
+            const applied = fertilized ? getFertilizerById('balanced').nutrients : {};
+            const nutrients = {};
+            const cropNutrients = {};
+            NUTRIENTS.forEach(nutrient => {
+                cropNutrients[nutrient] = crop.nutrientNeeds[nutrient] * share;
+                nutrients[nutrient] = Math.max(0, INITIAL_NUTRIENTS[nutrient] - cropNutrients[nutrient]) + (applied[nutrient] || 0);
+            });
+            return { ...cell, nutrients, cropNutrients, seasonNutrientSupply: 0, seasonNutrientDemand: 0 };
+        }))
+    }),
+
+    // v6 -> v7: groundwater nitrate under the farm (nothing leached before)
+    6: data => ({ ...data, groundwaterNitrate: GROUNDWATER_NITRATE.baseline }),
+
+    // v7 -> v8: soil health and field capacity are derived from organic matter, nutrients
+    // and structure. Cells start at the default organic matter, with the structure that
+    // keeps their saved soil health.
+    7: data => ({
+        ...data,
+        grid: data.grid.map(row => row.map(({ soilHealth, fieldCapacity, ...cell }) => {
+            const organicMatter = SOIL_ORGANIC_MATTER.initial;
+            const withoutStructure = calculateSoilHealth({ organicMatter, nutrients: cell.nutrients, structure: 0 });
+            const fullStructure = calculateSoilHealth({ organicMatter, nutrients: cell.nutrients, structure: 100 });
+            const soilStructure = 100 * (soilHealth - withoutStructure) / (fullStructure - withoutStructure);
+            return {
+                ...cell,
+                organicMatter,
+                soilStructure: Math.max(0, Math.min(100, soilStructure))
+            };
+        }))
+    }),
+
+    // v8 -> v9: irrigation water salinity (cells start at the default soil salinity)
+    8: data => ({ ...data, irrigationWaterSalinity: SOIL_SALINITY.irrigationWater }),
+
+    // v9 -> v10: water district fallowing agreements (none running; cells start as bare fallow)
+    9: data => ({ ...data, fallowingAgreement: null }),
+
+    // v10 -> v11: almonds and grapes are perennials; existing plantings are as old as their season
+    10: data => ({
+        ...data,
+        grid: data.grid.map(row => row.map(cell => ({
+            ...cell,
+            perennialAge: isPerennial(getCropById(cell.crop)) ? cell.daysSincePlanting : 0,
+            dormant: false
+        })))
+    }),
+
+    // v11 -> v12: winter chill tracking (none counted yet)
+    11: data => ({ ...data, chillHours: 0, chillHistory: [] }),
+
+    // v12 -> v13: pest control (no resistance built up, nothing sprayed this year)
+    12: data => ({ ...data, pesticideResistance: createPesticideResistance(), sprayLoad: 0 }),
+
+    // v13 -> v14: generated terrain. Older farms keep their soils and slopes, take their
+    // elevations from the slopes and have no creek
+    13: data => {
+        const defaultSlope = new Cell().slope;
+        const elevations = calculateElevations(data.grid.map(row => row.map(cell => cell.slope ?? defaultSlope)));
+        return {
+            ...data,
+            grid: data.grid.map((row, r) => row.map((cell, c) => ({ ...cell, elevation: elevations[r][c], floodZone: false })))
+        };
+    }
+};
+
+// Get the storage backend (localStorage in the browser, null elsewhere)
+function getStorage(storage) {
+    if (storage) return storage;
+    if (typeof globalThis !== 'undefined' && globalThis.localStorage) {
+        return globalThis.localStorage;
+    }
+    return null;
+}
+
+// Build a plain, JSON-safe snapshot of the game state
+export function serializeGame(game) {
+    return {
+        schemaVersion: SAVE_SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+
+        // Random generator position, so a loaded game continues the same sequence
+        seed: game.seed,
+        rng: game.rng.getState(),
+
+        // Calendar
+        day: game.day,
+        year: game.year,
+        season: game.season,
+        seasonDay: game.seasonDay,
+
+        // Economy and farm metrics
+        balance: game.balance,
+        farmValue: game.farmValue,
+        farmHealth: game.farmHealth,
+        waterReserve: game.waterReserve,
+        groundwaterNitrate: game.groundwaterNitrate,
+        irrigationWaterSalinity: game.irrigationWaterSalinity,
+        fallowingAgreement: game.fallowingAgreement ? { ...game.fallowingAgreement } : null,
+        chillHours: game.chillHours,
+        chillHistory: [...game.chillHistory],
+        pesticideResistance: { ...game.pesticideResistance },
+        sprayLoad: game.sprayLoad,
+        overheadCostPerCell: game.overheadCostPerCell,
+        annualInflationRate: game.annualInflationRate,
+
+        // Farm grid
+        gridSize: game.gridSize,
+        grid: game.grid.map(row => row.map(cell => cell.serialize())),
+
+        // Technology
+        researchedTechs: [...game.researchedTechs],
+
+        // Events, market and climate
+        events: game.events.map(event => ({ ...event })),
+        scheduler: game.scheduler.serialize(),
+        modifiers: game.modifiers.serialize(),
+        marketPrices: { ...game.marketPrices },
+        climate: { ...game.climate },
+        weather: { ...game.weather }
+    };
+}
+
+// Upgrade save data from whatever version it was written with to the current schema
+export function migrateSaveData(data) {
+    let migrated = { ...data };
+    let version = migrated.schemaVersion || 1;
+
+    if (version > SAVE_SCHEMA_VERSION) {
+        throw new Error(`Save was created by a newer version of the game (schema ${version}).`);
+    }
+
+    while (version < SAVE_SCHEMA_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            throw new Error(`No migration available for save schema ${version}.`);
+        }
+        migrated = migrate(migrated);
+        version++;
+        migrated.schemaVersion = version;
+    }
+
+    return migrated;
+}
+
+// Fields every save must carry once migrated to the current schema
+const REQUIRED_SAVE_FIELDS = [
+    'day', 'year', 'season', 'seasonDay',
+    'balance', 'farmValue', 'farmHealth', 'waterReserve', 'groundwaterNitrate', 'irrigationWaterSalinity',
+    'chillHours', 'chillHistory', 'sprayLoad', 'overheadCostPerCell', 'annualInflationRate',
+    'gridSize', 'grid', 'researchedTechs', 'events', 'scheduler', 'modifiers', 'marketPrices', 'climate', 'weather'
+];
+
+// Throw if (migrated) save data is missing anything needed to restore a game
+export function validateSaveData(data) {
+    const missing = REQUIRED_SAVE_FIELDS.filter(field => data[field] === undefined || data[field] === null);
+    if (missing.length > 0) {
+        throw new Error(`Save is incomplete (missing ${missing.join(', ')}).`);
+    }
+    if (!Array.isArray(data.grid) || data.grid.length !== data.gridSize || !data.grid.every(Array.isArray)) {
+        throw new Error('Save has a malformed farm grid.');
+    }
+}
+
+// Restore a game instance from (possibly old) save data. Everything is migrated, checked
+// and rebuilt before the game is touched, so a save that cannot be loaded throws and
+// leaves the game as it was.
+export function applySaveData(game, rawData) {
+    const data = migrateSaveData(rawData);
+    validateSaveData(data);
+
+    // Rebuild the grid, technology and event state first; these throw on bad data
+    const grid = data.grid.map(row => row.map(cellData => Cell.deserialize(cellData)));
+
+    // Technology - rebuild from the current definitions so changed techs pick up new values,
+    // and drop any researched ids that no longer exist
+    const technologies = createTechnologyTree();
+    const researchedTechs = data.researchedTechs.filter(techId =>
+        technologies.some(tech => tech.id === techId)
+    );
+    technologies.forEach(tech => {
+        tech.researched = researchedTechs.includes(tech.id);
+    });
+
+    const events = data.events.map(event => ({ ...event }));
+    const scheduler = EventScheduler.deserialize(data.scheduler);
+    const modifiers = ModifierSet.deserialize(data.modifiers);
+
+    // Random generator
+    if (data.rng) {
+        game.seed = data.seed;
+        game.rng.setState(data.rng);
+    }
+
+    // Calendar
+    game.day = data.day;
+    game.year = data.year;
+    game.season = data.season;
+    game.seasonDay = data.seasonDay;
+
+    // Economy and farm metrics
+    game.balance = data.balance;
+    game.farmValue = data.farmValue;
+    game.farmHealth = data.farmHealth;
+    game.waterReserve = data.waterReserve;
+    game.groundwaterNitrate = data.groundwaterNitrate;
+    game.irrigationWaterSalinity = data.irrigationWaterSalinity;
+    game.fallowingAgreement = data.fallowingAgreement ? { ...data.fallowingAgreement } : null;
+    game.chillHours = data.chillHours;
+    game.chillHistory = [...data.chillHistory];
+    game.pesticideResistance = { ...createPesticideResistance(), ...data.pesticideResistance };
+    game.sprayLoad = data.sprayLoad;
+    game.overheadCostPerCell = data.overheadCostPerCell;
+    game.annualInflationRate = data.annualInflationRate;
+
+    // Farm grid
+    game.gridSize = data.gridSize;
+    game.grid = grid;
+
+    // Technology
+    game.technologies = technologies;
+    game.researchedTechs = researchedTechs;
+
+    // Events, market and climate
+    game.events = events;
+    game.scheduler = scheduler;
+    game.modifiers = modifiers;
+    game.marketPrices = { ...game.marketPrices, ...data.marketPrices };
+    game.climate = { ...game.climate, ...data.climate };
+    game.weather = { ...data.weather };
+
+    return game;
+}
+
+// Write a save to a named slot
+export function writeSave(slotName, data, storage = null) {
+    const store = getStorage(storage);
+    if (!store) {
+        throw new Error('No storage available for saving.');
+    }
+    store.setItem(STORAGE_PREFIX + slotName, JSON.stringify({ ...data, slotName }));
+}
+
+// Read the raw save data from a named slot (null if it does not exist); throws if the
+// slot holds text that is not valid JSON
+export function readSave(slotName, storage = null) {
+    const store = getStorage(storage);
+    if (!store) return null;
+
+    const json = store.getItem(STORAGE_PREFIX + slotName);
+    return json ? JSON.parse(json) : null;
+}
+
+// Whether a named save slot exists
+export function hasSave(slotName, storage = null) {
+    const store = getStorage(storage);
+    return !!store && store.getItem(STORAGE_PREFIX + slotName) !== null;
+}
+
+// Remove a named save slot
+export function deleteSave(slotName, storage = null) {
+    const store = getStorage(storage);
+    if (!store) return false;
+
+    store.removeItem(STORAGE_PREFIX + slotName);
+    return true;
+}
+
+// List all save slots with a short summary, most recent first
+export function listSaves(storage = null) {
+    const store = getStorage(storage);
+    if (!store) return [];
+
+    const saves = [];
+    for (let i = 0; i < store.length; i++) {
+        const key = store.key(i);
+        if (!key || !key.startsWith(STORAGE_PREFIX)) continue;
+
+        try {
+            const data = JSON.parse(store.getItem(key));
+            saves.push({
+                slotName: key.slice(STORAGE_PREFIX.length),
+                savedAt: data.savedAt,
+                schemaVersion: data.schemaVersion,
+                year: data.year,
+                season: data.season,
+                balance: data.balance
+            });
+        } catch (error) {
+            // Skip corrupted entries rather than breaking the whole list
+            console.error(`Could not read save ${key}:`, error);
+        }
+    }
+
+    return saves.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+}
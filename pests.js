@@ -0,0 +1,301 @@
+/**
+ * California Climate Farmer - Pests and Diseases
+ *
+ * This file contains the named pests and diseases and how they break out and
+ * spread across the farm. Each one attacks its `hosts` and thrives in certain
+ * weather (`conditions` on the day's high temperature, or a waterlogged root
+ * zone for diseases that need wet conditions). Under favorable conditions a
+ * planting of a host crop can break out on its own, an infestation builds the
+ * cell's pest pressure, and once it is established it spreads to neighboring
+ * plots growing a host. Plots of other crops, cover crops and fallow plots are
+ * not hosts, so rotation, diversity and buffer plots slow the spread.
+ *
+ * `outbreakChance` is the daily chance a host plot breaks out under favorable
+ * conditions, `growth`/`decline` the daily change in pest pressure with and
+ * without them, and `spreadChance` the daily chance to reach each neighboring
+ * host once pressure is above `spreadThreshold`.
+ *
+ * Players fight back with `PEST_CONTROLS` on a plot or a zone around it.
+ * Chemical sprays work fast but hurt soil life, count against the farm's
+ * sustainability, and breed resistance: every plot sprayed with a chemistry
+ * makes the next spray of it less effective, and resistance only fades slowly
+ * when it is rested. Beneficial insects and hedgerows work slower against
+ * insects (and the insect-borne INSV) but have no side effects.
+ */
+
+// Cap on a cell's pest pressure (the yield model takes up to 40% off at this level)
+export const MAX_PEST_PRESSURE = 80;
+
+// Root-zone water (% of field capacity) at which diseases that need wet conditions thrive
+export const WET_SOIL_LEVEL = 90;
+
+export const PESTS = [
+    {
+        id: 'insv',
+        name: 'INSV (thrips-borne virus)',
+        kind: 'virus', // Controlled through its thrips vector
+        hosts: ['lettuce'],
+        conditions: { minTemp: 75 }, // Thrips build up in warm weather
+        outbreakChance: 0.003,
+        initialPressure: 10,
+        growth: 1.5,
+        decline: 1,
+        spreadChance: 0.08,
+        spreadThreshold: 20
+    },
+    {
+        id: 'navel_orangeworm',
+        name: 'Navel Orangeworm',
+        kind: 'insect',
+        hosts: ['almonds'],
+        conditions: { minTemp: 80 }, // Moth flights peak in summer heat
+        outbreakChance: 0.002,
+        initialPressure: 8,
+        growth: 1,
+        decline: 0.5,
+        spreadChance: 0.06,
+        spreadThreshold: 25
+    },
+    {
+        id: 'powdery_mildew',
+        name: 'Powdery Mildew',
+        kind: 'disease',
+        hosts: ['grapes'],
+        conditions: { minTemp: 70, maxTemp: 90 }, // Mild days; spores die above the mid-90s
+        outbreakChance: 0.003,
+        initialPressure: 10,
+        growth: 1.5,
+        decline: 1,
+        spreadChance: 0.1,
+        spreadThreshold: 20
+    },
+    {
+        id: 'gray_mold',
+        name: 'Gray Mold (Botrytis)',
+        kind: 'disease',
+        hosts: ['strawberries', 'grapes'],
+        conditions: { wetSoil: true },
+        outbreakChance: 0.004,
+        initialPressure: 12,
+        growth: 2,
+        decline: 1.5,
+        spreadChance: 0.08,
+        spreadThreshold: 20
+    },
+    {
+        id: 'corn_earworm',
+        name: 'Corn Earworm',
+        kind: 'insect',
+        hosts: ['corn'],
+        conditions: { minTemp: 80 },
+        outbreakChance: 0.002,
+        initialPressure: 8,
+        growth: 1,
+        decline: 0.5,
+        spreadChance: 0.05,
+        spreadThreshold: 25
+    }
+];
+
+// Pest control products and practices. `targets` are the pest kinds they work on,
+// `efficacy` the share of pest pressure removed, `cost` the price per plot,
+// `soilDamage` the soil structure lost per application and `toxicity` the load
+// each plot treated adds against the sustainability score.
+export const PEST_CONTROLS = {
+    pyrethroid: {
+        id: 'pyrethroid',
+        name: 'Insecticide (pyrethroid)',
+        type: 'chemical',
+        chemistry: 'pyrethroid',
+        targets: ['insect', 'virus'],
+        efficacy: 0.7,
+        cost: 120,
+        soilDamage: 2,
+        toxicity: 4
+    },
+    fungicide: {
+        id: 'fungicide',
+        name: 'Fungicide (DMI)',
+        type: 'chemical',
+        chemistry: 'dmi',
+        targets: ['disease'],
+        efficacy: 0.6,
+        cost: 100,
+        soilDamage: 1,
+        toxicity: 2
+    },
+    beneficials: {
+        id: 'beneficials',
+        name: 'Beneficial Insects',
+        type: 'biological',
+        targets: ['insect', 'virus'],
+        efficacy: 0.3,
+        cost: 80,
+        soilDamage: 0,
+        toxicity: 0,
+        protectionDays: 60 // Predators keep working for this long
+    }
+};
+
+// Resistance (0-1, the share of a chemistry's efficacy lost): gained per plot sprayed,
+// capped, and fading by a small share every day the chemistry is not used
+export const PESTICIDE_RESISTANCE = Object.freeze({
+    gainPerPlot: 0.01,
+    max: 0.9,
+    dailyDecay: 0.002
+});
+
+// Hedgerows of native shrubs along a plot shelter predators for the plot and its neighbors
+export const HEDGEROW = Object.freeze({
+    cost: 500,
+    sustainabilityCredit: 10  // Points of pest management score per hedgerow plot
+});
+
+// Natural enemies (released beneficials or a hedgerow nearby) halve insect build-up and
+// outbreaks and speed up their decline by this much per day
+const NATURAL_ENEMY_DECLINE = 0.5;
+
+// Resistance of every chemistry at the start of the game
+export function createPesticideResistance() {
+    return Object.fromEntries(
+        Object.values(PEST_CONTROLS)
+            .filter(control => control.chemistry)
+            .map(control => [control.chemistry, 0])
+    );
+}
+
+// Share of pest pressure a control removes, after resistance to its chemistry
+export function getControlEfficacy(control, resistance) {
+    return control.chemistry ? control.efficacy * (1 - (resistance[control.chemistry] || 0)) : control.efficacy;
+}
+
+// Resistance fades a little every day (applied to all chemistries; spraying adds it back)
+export function decayResistance(resistance) {
+    return Object.fromEntries(Object.entries(resistance).map(([chemistry, level]) =>
+        [chemistry, level * (1 - PESTICIDE_RESISTANCE.dailyDecay)]
+    ));
+}
+
+// Whether a control works on what is infesting the plot (anything works on general pest pressure)
+export function controlWorksOn(control, cell) {
+    const pest = cell.pestId ? getPestById(cell.pestId) : null;
+    return !pest || control.targets.includes(pest.kind);
+}
+
+// Helper function to find a pest by ID (null if unknown)
+export function getPestById(id) {
+    return PESTS.find(pest => pest.id === id) || null;
+}
+
+// Whether a crop is a host the pest can live on
+export function isPestHost(pest, crop) {
+    return pest.hosts.includes(crop.id);
+}
+
+// Whether today's weather (and the plot's wetness) favors the pest
+export function isFavorable(pest, weather, cell) {
+    const { minTemp = -Infinity, maxTemp = Infinity, wetSoil = false } = pest.conditions;
+    if (weather.tMax < minTemp || weather.tMax > maxTemp) return false;
+    return !wetSoil || cell.waterLevel >= WET_SOIL_LEVEL;
+}
+
+// Neighboring cells (up, down, left, right) of a grid position
+export function getNeighbors(grid, row, col) {
+    return [[-1, 0], [1, 0], [0, -1], [0, 1]]
+        .map(([dRow, dCol]) => [row + dRow, col + dCol])
+        .filter(([r, c]) => r >= 0 && r < grid.length && c >= 0 && c < grid[r].length)
+        .map(([r, c]) => ({ row: r, col: c, cell: grid[r][c] }));
+}
+
+// Plots a zone treatment covers: the plot and the ones around it (a 3x3 block)
+export function getZone(grid, row, col) {
+    const zone = [];
+    for (let r = row - 1; r <= row + 1; r++) {
+        for (let c = col - 1; c <= col + 1; c++) {
+            if (r >= 0 && r < grid.length && c >= 0 && c < grid[r].length) {
+                zone.push({ row: r, col: c, cell: grid[r][c] });
+            }
+        }
+    }
+    return zone;
+}
+
+// Insects and their viruses are held back by released beneficials in the plot or a
+// hedgerow in or next to it
+function hasNaturalEnemies(grid, row, col, pest) {
+    if (pest.kind === 'disease') return false;
+    const cell = grid[row][col];
+    return cell.beneficialDays > 0 || cell.hedgerow ||
+        getNeighbors(grid, row, col).some(neighbor => neighbor.cell.hedgerow);
+}
+
+// A plot the pest can attack today: a growing (not dormant) host crop without another infestation
+function isSusceptible(pest, cell) {
+    return !cell.pestId && !cell.dormant && isPestHost(pest, cell.crop);
+}
+
+// One day of pests on the farm: established infestations build up or die back, spread
+// to neighboring hosts, and new ones break out. Returns the new outbreaks and spreads.
+export function updatePests(grid, weather, rng) {
+    const outbreaks = [];
+    const spreads = [];
+
+    // Established infestations build up under favorable conditions and die back otherwise;
+    // without a host they starve
+    grid.forEach((cells, row) => cells.forEach((cell, col) => {
+        if (cell.beneficialDays > 0) {
+            cell.beneficialDays--;
+        }
+        if (!cell.pestId) return;
+        const pest = getPestById(cell.pestId);
+        if (!pest || !isPestHost(pest, cell.crop)) {
+            cell.clearPest();
+            return;
+        }
+
+        let change = !cell.dormant && isFavorable(pest, weather, cell) ? pest.growth : -pest.decline;
+        if (hasNaturalEnemies(grid, row, col, pest)) {
+            change = change > 0 ? change / 2 : change - NATURAL_ENEMY_DECLINE;
+        }
+        cell.pestPressure = Math.max(0, Math.min(MAX_PEST_PRESSURE, cell.pestPressure + change));
+        if (cell.pestPressure === 0) {
+            cell.clearPest();
+        }
+    }));
+
+    // Heavy infestations spread to neighboring hosts (decided before any new ones take hold,
+    // so a pest moves at most one plot a day)
+    grid.forEach((cells, row) => cells.forEach((cell, col) => {
+        if (!cell.pestId) return;
+        const pest = getPestById(cell.pestId);
+        if (cell.pestPressure < pest.spreadThreshold) return;
+
+        getNeighbors(grid, row, col).forEach(neighbor => {
+            if (!isSusceptible(pest, neighbor.cell)) return;
+            if (spreads.some(spread => spread.row === neighbor.row && spread.col === neighbor.col)) return;
+            if (rng.random() < pest.spreadChance) {
+                spreads.push({ row: neighbor.row, col: neighbor.col, pestId: pest.id, from: { row, col } });
+            }
+        });
+    }));
+    spreads.forEach(({ row, col, pestId }) => {
+        const pest = getPestById(pestId);
+        grid[row][col].infest(pest, pest.initialPressure);
+    });
+
+    // New outbreaks in host plots; plots already under pest pressure (monocropping,
+    // depleted soil) break out more easily
+    grid.forEach((cells, row) => cells.forEach((cell, col) => {
+        if (cell.pestId || cell.crop.id === 'empty') return;
+        PESTS.forEach(pest => {
+            if (cell.pestId || !isSusceptible(pest, cell) || !isFavorable(pest, weather, cell)) return;
+            const enemies = hasNaturalEnemies(grid, row, col, pest) ? 0.5 : 1;
+            if (rng.random() < pest.outbreakChance * enemies * (1 + cell.pestPressure / 40)) {
+                cell.infest(pest, pest.initialPressure);
+                outbreaks.push({ row, col, pestId: pest.id });
+            }
+        });
+    }));
+
+    return { outbreaks, spreads };
+}
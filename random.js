@@ -0,0 +1,63 @@
+/**
+ * California Climate Farmer - Seeded Random Number Generator
+ *
+ * This file contains the deterministic PRNG owned by each game instance.
+ * Every random roll in the simulation goes through it, so a run can be
+ * reproduced exactly from its seed (plus the same player actions).
+ */
+
+// Create a new random seed (used when no seed is supplied)
+export function generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0;
+}
+
+// Seeded PRNG (mulberry32) - small, fast and fully serializable
+export class SeededRandom {
+    constructor(seed = generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Next float in [0, 1) - drop-in replacement for Math.random()
+    random() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    // Integer in [min, max] (inclusive)
+    int(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    // True with the given probability
+    chance(probability) {
+        return this.random() < probability;
+    }
+
+    // Random element of an array
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)];
+    }
+
+    // Derive an independent generator (e.g. for one-off generation) without disturbing this stream
+    fork(salt = 0) {
+        return new SeededRandom((this.seed ^ Math.imul(salt + 1, 0x9e3779b1)) >>> 0);
+    }
+
+    // Save/restore the generator position
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+    setState({ seed, state }) {
+        this.seed = seed >>> 0;
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * California Climate Farmer - Event Scheduler
+ *
+ * This file contains the timeline of upcoming game events. Events are keyed on
+ * an absolute simulation day (day 1 of year 1 is day 1, day 1 of year 2 is day
+ * 361, ...), so scheduling across the year boundary works. Entries can span
+ * several days, carry a priority for ordering events due on the same day, and
+ * can be cancelled or inspected before they fire.
+ */
+
+export class EventScheduler {
+    constructor() {
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    // Add an event to the timeline; returns the entry id (used to cancel it).
+    // `day` is the absolute day of the first firing, `duration` the number of
+    // consecutive days it fires, and higher `priority` entries fire first.
+    schedule(event, { day = event.day, duration = 1, priority = 0 } = {}) {
+        if (!Number.isFinite(day)) {
+            throw new Error(`Cannot schedule '${event.type}' event without an absolute day.`);
+        }
+
+        const entry = {
+            id: this.nextId++,
+            day,
+            duration: Math.max(1, Math.floor(duration)),
+            priority,
+            event
+        };
+        this.entries.push(entry);
+        return entry.id;
+    }
+
+    // Remove a scheduled entry; returns the removed entry (or null if unknown)
+    cancel(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return null;
+        return this.entries.splice(index, 1)[0];
+    }
+
+    // Remove every entry whose event matches the predicate; returns the removed entries
+    cancelWhere(predicate) {
+        const removed = this.entries.filter(entry => predicate(entry.event, entry));
+        this.entries = this.entries.filter(entry => !removed.includes(entry));
+        return removed;
+    }
+
+    // Entries firing on the given absolute day, highest priority first (ties in scheduling order).
+    // Each occurrence says which day of the entry's run this is.
+    due(day) {
+        return this.entries
+            .filter(entry => entry.day <= day && day < entry.day + entry.duration)
+            .sort(compareEntries)
+            .map(entry => ({
+                ...entry,
+                dayIndex: day - entry.day,
+                isFirstDay: day === entry.day,
+                isLastDay: day === entry.day + entry.duration - 1
+            }));
+    }
+
+    // Drop entries that have finished firing by the end of the given day
+    prune(day) {
+        this.entries = this.entries.filter(entry => entry.day + entry.duration - 1 > day);
+    }
+
+    // Entries that start after the given day, soonest first
+    upcoming(day, limit = Infinity) {
+        return this.entries
+            .filter(entry => entry.day > day)
+            .sort((a, b) => a.day - b.day || compareEntries(a, b))
+            .slice(0, limit);
+    }
+
+    // Entries currently in progress (started on or before the day and not yet finished)
+    active(day) {
+        return this.entries.filter(entry => entry.day <= day && day < entry.day + entry.duration);
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // Save/restore the timeline
+    serialize() {
+        return {
+            nextId: this.nextId,
+            entries: this.entries.map(entry => ({ ...entry, event: { ...entry.event } }))
+        };
+    }
+    static deserialize(data) {
+        const scheduler = new EventScheduler();
+        scheduler.nextId = data.nextId;
+        scheduler.entries = data.entries.map(entry => ({ ...entry, event: { ...entry.event } }));
+        return scheduler;
+    }
+}
+
+// Higher priority first, then earlier scheduled
+function compareEntries(a, b) {
+    return b.priority - a.priority || a.id - b.id;
+}
@@ -0,0 +1,1692 @@
+/**
+ * California Climate Farmer - Simulation Engine
+ *
+ * This file contains the headless farm simulation: game state, the daily tick,
+ * events, economics and player actions. It never touches the DOM or canvas, so
+ * it runs unchanged in the browser, Node, a worker or a batch script. Front ends
+ * (such as the UIManager) subscribe to its event bus.
+ */
+
+import { Cell } from './cell.js';
+import { crops, getCropById, isCashCrop, isCoverCrop, isPerennial, hasMultiplePickings, getCashCrops } from './crops.js';
+import { createTechnologyTree, checkTechPrerequisites, getTechEffectValue } from './technology.js';
+import { Logger, calculateFarmHealth, calculateFarmValue } from './utils.js';
+import * as Events from './events.js';
+import * as Persistence from './persistence.js';
+import { SeededRandom, generateSeed } from './random.js';
+import { GameEventEmitter, GAME_EVENTS } from './emitter.js';
+import { EventScheduler } from './scheduler.js';
+import { ModifierSet, MODIFIER_TARGETS } from './modifiers.js';
+import * as Weather from './weather.js';
+import * as Pests from './pests.js';
+import * as Landscape from './landscape.js';
+import { generateTerrain, TERRAIN_SEED_SALT } from './terrain.js';
+import { getFertilizerById, FERTILIZER_RATES, GROUNDWATER_NITRATE, updateGroundwaterNitrate, SOIL_SALINITY, FALLOW_TYPES } from './soils.js';
+
+export class FarmSimulation {
+    constructor(options = {}) {
+        //--- TEST MODE FLAGS (ONLY USED IF TEST MODE IS ENABLED) ---
+        this.testMode = options.testMode || false;
+        this.testStrategy = options.testStrategy || null;
+        this.debugMode = options.debugMode || false;
+        this.testEndYear = options.testEndYear || 50;
+        this.autoTerminate = options.autoTerminate || false;
+        this.nextTestCallback = options.nextTestCallback || null;
+        //-----------------------------------------------------------
+
+        //--- EVENT BUS ---
+        // Created first so state changes made during construction can already be announced
+        this.eventBus = new GameEventEmitter();
+
+        //--- RANDOMNESS ---
+        // Every random roll in the simulation uses this seeded generator, so a seed
+        // plus the same player actions always reproduces the same farm.
+        this.seed = options.seed ?? generateSeed();
+        this.rng = new SeededRandom(this.seed);
+
+        //--- FARM DIMENSIONS ---
+        this.gridSize = 10;
+
+        //--- BASE GAME STATE ---
+        this.day = 1;
+        this.year = 1;
+        this.season = 'Spring';
+        this.seasonDay = 1;
+        this.balance = 20000;  
+        this.farmValue = 50000;
+        this.farmHealth = 85;
+        this.waterReserve = 60;  
+        this.groundwaterNitrate = GROUNDWATER_NITRATE.baseline;  // mg/L nitrate-N under the farm
+        this.irrigationWaterSalinity = SOIL_SALINITY.irrigationWater;  // EC (dS/m) of the irrigation water
+        this.fallowingAgreement = null;  // Water district fallowing offer in progress (see events.js)
+        this.chillHours = 0;             // Winter chill (hours between 32 and 45°F) so far this winter
+        this.chillHistory = [];          // Chill hours of past winters, oldest first
+        this.pesticideResistance = Pests.createPesticideResistance();  // Resistance (0-1) per chemistry
+        this.sprayLoad = 0;              // Toxicity of this year's pesticide applications (see pests.js)
+        this.paused = false;
+
+        //--- SAVE/LOAD ---
+        // Autosave every N days (0 disables). Test runs never autosave so they can't clobber a player's farm.
+        this.autosaveInterval = options.autosaveInterval ?? 0;
+
+        //--- ECONOMIC PARAMETERS ---
+        this.overheadCostPerCell = 10;     // e.g., $10/cell
+        this.annualInflationRate = 0.03;   // 3% inflation yearly
+
+        //--- DEBUG LOGGING ---
+        this.logger = new Logger(100, this.debugMode ? 2 : 1);
+        this.logger.subscribeTo(this);
+
+        //--- GAME GRID ---
+        this.grid = [];
+
+        //--- TECHNOLOGY/RESEARCH ---
+        this.technologies = createTechnologyTree();
+        this.researchedTechs = [];
+
+        //--- EVENTS ---
+        this.events = [];
+        this.scheduler = new EventScheduler();  // Upcoming events, keyed on absolute day
+
+        //--- TIMED MODIFIERS ---
+        // Temporary multipliers on costs, prices, water use, growth and yield
+        this.modifiers = new ModifierSet();
+
+        //--- MARKET PRICES ---
+        this.marketPrices = {};
+
+        //--- CLIMATE PARAMETERS ---
+        this.climate = {
+            ...Weather.DEFAULT_TEMPERATURE_CLIMATE,
+            rainfall: 20,
+            droughtProbability: 0.05,
+            floodProbability: 0.03,
+            heatwaveProbability: 0.08
+        };
+
+        //--- TODAY'S WEATHER ---
+        this.weather = Weather.getSeasonalWeather(this.day, this.climate);
+
+        // Initialize the farm grid
+        this.initializeGrid();
+
+        // Initialize market prices
+        this.updateMarketPrices();
+
+        // Initialize test mode if active
+        if (this.testMode) {
+            this.setupTestMode();
+        }
+    }
+
+    //--- INITIALIZE THE FARM GRID ---
+    // The land (soils, slopes, the creek and starting fertility) is generated from the seed;
+    // the farm rises toward the foothills, so the top rows are the steepest (see terrain.js)
+    initializeGrid() {
+        const terrain = generateTerrain(this.gridSize, this.rng.fork(TERRAIN_SEED_SALT));
+        for (let row = 0; row < this.gridSize; row++) {
+            this.grid[row] = [];
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = new Cell();
+                cell.applyTerrain(terrain[row][col]);
+                this.grid[row][col] = cell;
+            }
+        }
+    }
+
+    //--- EVENT BUS ---
+    // Subscribe to a game event (see GAME_EVENTS); returns an unsubscribe function
+    on(type, listener) {
+        return this.eventBus.on(type, listener);
+    }
+    once(type, listener) {
+        return this.eventBus.once(type, listener);
+    }
+    off(type, listener) {
+        this.eventBus.off(type, listener);
+    }
+    emit(type, payload) {
+        this.eventBus.emit(type, payload);
+    }
+
+    //--- BALANCE ---
+    // Every change to the bank balance is announced on the event bus
+    get balance() {
+        return this._balance;
+    }
+    set balance(value) {
+        const previous = this._balance;
+        this._balance = value;
+        if (previous !== undefined && previous !== value) {
+            this.emit(GAME_EVENTS.balanceChanged, { balance: value, previous, change: value - previous });
+        }
+    }
+
+    //--- CALENDAR ---
+    // Days since the start of the game (day 1 of year 2 is day 361). `day` wraps
+    // every year, so anything scheduled ahead must use this instead.
+    get absoluteDay() {
+        return (this.year - 1) * 360 + this.day;
+    }
+
+    //--- ADVANCE THE SIMULATION ---
+    // Run the daily tick `days` times, synchronously. This is the headless API:
+    // no timers and no rendering, so batch runs go as fast as the CPU allows.
+    step(days = 1) {
+        for (let i = 0; i < days; i++) {
+            this.update();
+        }
+        return this;
+    }
+
+    //--- UPDATE GAME STATE ---
+    update() {
+        // 1. Advance day, drop modifiers that have run out and roll today's weather
+        this.day++;
+        this.seasonDay++;
+        this.expireModifiers();
+        this.updateWeather();
+
+        // 2. Pay daily overhead
+        this.payDailyOverhead();
+
+        // 3. Update all farm cells, then let pests and diseases build up and spread
+        this.updateFarm();
+        this.updatePests();
+
+        // 4. Auto-irrigate if Drip or AI irrigation is unlocked
+        this.autoIrrigate();
+
+        // 5. Season / year checks
+        if (this.seasonDay > 90) {
+            this.seasonDay = 1;
+            this.advanceSeason();
+        }
+        if (this.day > 360) {
+            this.day = 1;
+            this.advanceYear();
+        }
+
+        // 6. Process any events that occur today
+        this.processPendingEvents();
+
+        // 7. Update groundwater nitrate, fallowing agreements and farm health
+        this.updateGroundwater();
+        this.updateFallowingAgreement();
+        this.farmHealth = calculateFarmHealth(this.grid, this.waterReserve);
+
+        // 8. Chance for random event
+        if (this.rng.random() < 0.01) {
+            const farmState = {
+                climate: this.climate,
+                day: this.absoluteDay,
+                season: this.season,
+                waterReserve: this.waterReserve,
+                farmHealth: this.farmHealth,
+                balance: this.balance,
+                researchedTechs: this.researchedTechs
+            };
+            const newEvent = Events.generateRandomEvent(farmState, this.rng);
+            if (newEvent) {
+                this.scheduleEvent(newEvent);
+                this.addEvent(newEvent.message, newEvent.isAlert || false);
+            }
+        }
+
+        // 9. Periodic autosave
+        if (!this.testMode && this.autosaveInterval > 0 && this.day % this.autosaveInterval === 0) {
+            this.autosave();
+        }
+
+        // 10. If in test mode, run test logic
+        if (this.testMode) {
+            this.runTestUpdate();
+        }
+
+        // 11. Announce the new day (UI, strategies and other subscribers react here)
+        this.emit(GAME_EVENTS.dayAdvanced, { day: this.day, year: this.year, season: this.season, weather: this.weather });
+    }
+    //--- IRRIGATE A CELL (NOW ALLOWS MULTIPLE IRRIGATIONS PER DAY) ---
+//--- IRRIGATE A CELL (MULTIPLE TIMES PER DAY, NO CAP) ---
+irrigateCell(row, col) {
+    const cell = this.grid[row][col];
+
+    if (cell.crop.id === 'empty') {
+        this.addEvent('Cannot irrigate an empty plot.', true);
+        return false;
+    }
+
+    // If you want to track how many times per day you’ve irrigated:
+    // Reset count if it's a new day
+    if (!cell.irrigationCount || this.day !== cell.lastIrrigationDay) {
+        cell.irrigationCount = 0;
+        cell.lastIrrigationDay = this.day;
+    }
+
+    // Calculate cost with inflation and any active modifiers (e.g. water restrictions)
+    const irrigationCost = this.getIrrigationCost();
+
+    if (this.balance < irrigationCost) {
+        this.addEvent(`Cannot afford irrigation. Cost: $${irrigationCost}`, true);
+        return false;
+    }
+
+    // Pay for irrigation
+    this.balance -= irrigationCost;
+
+    // Calculate water efficiency from tech
+    const waterEfficiency = this.getTechEffectValue('waterEfficiency');
+
+    // Multiple irrigations are allowed, but water the saturated soil can't hold runs off
+    const runoff = cell.irrigate(waterEfficiency, this.irrigationWaterSalinity);
+    if (runoff > 0) {
+        // What runs off flows on to the plots downslope
+        Landscape.routeRunoff(this.grid, this.grid.map((cells, r) => cells.map((_, c) => (r === row && c === col ? runoff : 0))));
+    }
+
+    // Keep track
+    cell.irrigationCount++;
+    this.emit(GAME_EVENTS.cellIrrigated, { row, col, cost: irrigationCost, runoff });
+
+    this.addEvent(
+      `Irrigated plot at row ${row+1}, col ${col+1}. (Today’s count: ${cell.irrigationCount}) Cost: $${irrigationCost}`
+    );
+    if (runoff > 0) {
+        this.addEvent(`Over-watering: ${Math.round(runoff)} mm ran off saturated soil at row ${row+1}, col ${col+1}.`, true);
+    }
+    return true;
+}
+
+
+    //--- AUTO-IRRIGATION METHOD ---
+    autoIrrigate() {
+        // Check if player has Drip Irrigation or AI-Driven Irrigation
+        const hasDrip = this.hasTechnology('drip_irrigation');
+        const hasAI   = this.hasTechnology('ai_irrigation');
+        if (!hasDrip && !hasAI) return;
+
+        // Decide how much water a cell needs to be considered "under-watered"
+        const waterThreshold = 70;
+
+        // Base water usage per cell
+        let waterUsagePerCell = 3; // % of water reserve used per irrigated cell
+        let efficiencyMultiplier = 1.0;
+
+        // Stack drip + AI irrigation benefits if both are unlocked
+        if (hasDrip) efficiencyMultiplier *= 2;  // Drip is 20% more efficient
+        if (hasAI)   efficiencyMultiplier *= 1.5;  // AI is 50% more efficient
+
+        // More efficiency => less water usage => invert the multiplier
+        const effectiveUsageFactor = 1 / efficiencyMultiplier;
+
+        let irrigatedCount = 0;
+
+        // Check each cell in the grid
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.grid[row][col];
+
+                // Skip empty or already well-watered cells
+                if (cell.crop.id === 'empty') continue;
+                if (cell.waterLevel >= waterThreshold) continue;
+
+                // Calculate actual usage
+                const actualUsage = Math.round(waterUsagePerCell * effectiveUsageFactor);
+                if (this.waterReserve < actualUsage) {
+                    this.addEvent(
+                        `Ran out of water for automatic irrigation after watering ${irrigatedCount} cells.`,
+                        true
+                    );
+                    return;
+                }
+
+                // Deduct from water reserve
+                this.waterReserve -= actualUsage;
+
+                // Boost cell water (base 20% of field capacity). Sensor-driven systems
+                // stop at field capacity, so auto-irrigation never causes runoff.
+                const waterBoost = Math.min(0.2 * cell.fieldCapacity * efficiencyMultiplier, cell.fieldCapacity - cell.soilMoisture);
+                cell.addWater(waterBoost, this.irrigationWaterSalinity);
+                cell.drainLeachingFraction(waterBoost);
+                //cell.irrigated = true; // If you track an 'irrigated' flag
+
+                irrigatedCount++;
+            }
+        }
+
+        if (irrigatedCount > 0) {
+            this.addEvent(
+                `Auto-irrigated ${irrigatedCount} plots (drip/AI). Water reserve left: ${this.waterReserve}%.`
+            );
+        }
+    }
+
+    //--- DAILY OVERHEAD ---
+    payDailyOverhead() {
+        const totalCells = this.gridSize * this.gridSize;
+        const overhead = totalCells * this.overheadCostPerCell;
+
+        if (this.balance >= overhead) {
+            this.balance -= overhead;
+            this.logger.log(`Paid daily overhead: $${overhead}`, 2);
+        } else {
+            this.balance -= overhead;
+            this.addEvent(`You went into debt paying overhead: -$${overhead}`, true);
+        }
+    }
+
+    //--- DAILY WEATHER ---
+    // Today's min/max temperature, including any heatwave or frost in progress.
+    // (The seasonal curve repeats every 360 days, so day 361 before the year rolls over is fine.)
+    updateWeather() {
+        const activeEvents = this.scheduler.active(this.absoluteDay).map(entry => entry.event);
+        this.weather = Weather.generateDailyWeather(this.day, this.climate, activeEvents, this.rng);
+
+        if (this.day >= Weather.CHILL_SEASON_START) {
+            this.chillHours += Weather.calculateChillHours(this.weather.tMin, this.weather.tMax);
+        }
+    }
+
+    //--- UPDATE FARM CELLS ---
+    updateFarm() {
+        let harvestReadyCells = [];
+        let overdueCells = [];
+        let spoiledCells = [];
+        const env = {
+            waterReserve: this.waterReserve,
+            techs: this.researchedTechs,
+            rng: this.rng,
+            weather: this.weather,
+            modifiers: this.modifiers,
+            fertilizerEfficiency: this.getTechEffectValue('fertilizerEfficiency')
+        };
+        // Plots only affect their neighbors once the farm has windbreaks, hedgerows or other features
+        const hasLayout = this.grid.some(cells => cells.some(cell => cell.feature || cell.hedgerow));
+
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.grid[row][col];
+                const cropId = cell.crop.id;
+                const result = cell.update(hasLayout
+                    ? { ...env, neighbor: Landscape.getNeighborEffects(this.grid, row, col) }
+                    : env);
+
+                if (result === 'harvest-ready') {
+                    harvestReadyCells.push({ row, col });
+                } else if (result === 'spoiled') {
+                    spoiledCells.push({ row, col, cropId });
+                } else if (cell.harvestOverdue && cell.daysHarvestReady === cell.crop.harvestWindow + 1) {
+                    overdueCells.push({ row, col });
+                }
+            }
+        }
+
+        // Notify user of harvestable plots
+        harvestReadyCells.forEach(({ row, col }) => {
+            const cell = this.grid[row][col];
+            this.addEvent(isCoverCrop(cell.crop)
+                ? `${cell.crop.name} cover crop at row ${row+1}, column ${col+1} is at full biomass and ready to terminate.`
+                : `${cell.crop.name} at row ${row+1}, column ${col+1} is ready for harvest!`
+            );
+        });
+
+        // Warn when ripe crops start losing quality, and report the ones lost
+        overdueCells.forEach(({ row, col }) => {
+            const cell = this.grid[row][col];
+            this.addEvent(`${cell.crop.name} at row ${row+1}, column ${col+1} is past its harvest window and losing quality. ` +
+                `It will be a total loss within ${cell.crop.spoilageDays} days.`, true);
+        });
+        spoiledCells.forEach(({ row, col, cropId }) => {
+            this.emit(GAME_EVENTS.cropSpoiled, { row, col, cropId });
+            this.addEvent(`${getCropById(cropId).name} at row ${row+1}, column ${col+1} spoiled in the field and was lost.`, true);
+        });
+    }
+    
+    //--- PESTS AND DISEASES ---
+    updatePests() {
+        this.pesticideResistance = Pests.decayResistance(this.pesticideResistance);
+        const { outbreaks, spreads } = Pests.updatePests(this.grid, this.weather, this.rng);
+
+        outbreaks.forEach(({ row, col, pestId }) => {
+            const pest = Pests.getPestById(pestId);
+            this.emit(GAME_EVENTS.pestOutbreak, { row, col, pestId });
+            this.addEvent(`${pest.name} broke out in the ${this.grid[row][col].crop.name} at row ${row+1}, column ${col+1}.`, true);
+        });
+
+        spreads.forEach(spread => this.emit(GAME_EVENTS.pestSpread, spread));
+        Pests.PESTS.forEach(pest => {
+            const count = spreads.filter(spread => spread.pestId === pest.id).length;
+            if (count > 0) {
+                this.addEvent(`${pest.name} spread to ${count} neighboring plot${count === 1 ? '' : 's'}.`, true);
+            }
+        });
+    }
+    
+    //--- ADVANCE SEASON ---
+    advanceSeason() {
+        const seasons = ['Spring', 'Summer', 'Fall', 'Winter'];
+        const currentIndex = seasons.indexOf(this.season);
+        const previousSeason = this.season;
+        this.season = seasons[(currentIndex + 1) % 4];
+
+        this.addEvent(`Season changed to ${this.season}`);
+
+        // Strawberry and lettuce plantings that have been picking end with their season
+        this.endPickingSeasons();
+
+        // Adjust market prices slightly each season
+        this.fluctuateMarketPrices();
+
+        // Regulators review groundwater quality every season
+        this.checkNitrateRegulation();
+        this.reportNitrogenLosses();
+
+        // Season-specific events
+        switch (this.season) {
+            case 'Summer':
+                if (this.rng.random() < 0.3) {
+                    this.scheduleEvent(Events.scheduleDrought(this.absoluteDay, this.climate.droughtProbability, this.rng));
+                }
+                if (this.rng.random() < 0.4) {
+                    this.scheduleEvent(Events.scheduleHeatwave(this.absoluteDay, this.rng));
+                }
+                break;
+            case 'Winter':
+                if (this.rng.random() < 0.3) {
+                    this.scheduleEvent(Events.scheduleFrost(this.absoluteDay));
+                }
+                // Winter water recovery
+                const winterRecovery = Math.floor(5 + this.rng.random() * 10);
+                this.waterReserve = Math.min(100, this.waterReserve + winterRecovery);
+                if (winterRecovery > 5) {
+                    this.addEvent(`Winter precipitation replenished ${winterRecovery}% of water reserves.`);
+                }
+                break;
+            case 'Spring':
+                if (this.rng.random() < 0.4) {
+                    this.scheduleEvent(Events.scheduleRain(this.absoluteDay, this.rng));
+                }
+                // Spring has higher water recovery
+                const springRecovery = Math.floor(10 + this.rng.random() * 15);
+                this.waterReserve = Math.min(100, this.waterReserve + springRecovery);
+                this.addEvent(`Spring rains replenished ${springRecovery}% of water reserves.`);
+                break;
+            case 'Fall':
+                if (this.rng.random() < 0.3) {
+                    this.scheduleEvent(Events.scheduleRain(this.absoluteDay, this.rng));
+                }
+                if (this.rng.random() < 0.2) {
+                    this.scheduleEvent(Events.scheduleHeatwave(this.absoluteDay, this.rng));
+                }
+                // Modest fall water recovery
+                const fallRecovery = Math.floor(5 + this.rng.random() * 10);
+                this.waterReserve = Math.min(100, this.waterReserve + fallRecovery);
+                if (fallRecovery > 5) {
+                    this.addEvent(`Fall weather replenished ${fallRecovery}% of water reserves.`);
+                }
+                break;
+        }
+
+        // Tech effect check for greenhouse, etc.
+        if (this.hasTechnology('greenhouse') && (this.season === 'Winter' || this.season === 'Summer')) {
+            this.addEvent('Greenhouse technology is protecting crops from seasonal extremes.');
+        }
+
+        this.emit(GAME_EVENTS.seasonChanged, { season: this.season, previousSeason, year: this.year });
+    }
+
+    //--- ADVANCE YEAR ---
+    advanceYear() {
+        this.year++;
+
+        // Orchards and vineyards leaf out for the new season, as well as the winter's chill allows
+        const chillHours = Math.round(this.chillHours);
+        this.grid.forEach(row => row.forEach(cell => cell.breakDormancy(chillHours)));
+
+        // Remove the old 5% interest. No free money each year.
+        // Instead, you could do minimal interest or require a separate "financial investment" system.
+
+        // Increase costs due to inflation
+        this.applyAnnualInflation();
+
+        // Update farm value
+        this.farmValue = calculateFarmValue(this.grid, this.technologies);
+
+        // Sustainability metrics (the year's spraying counts once)
+        const sustainabilityScore = this.calculateSustainabilityScore();
+        this.logger.log(`Year ${this.year} Sustainability Score: ${sustainabilityScore.total}`, 1);
+        this.sprayLoad = 0;
+
+        // Slight climate change intensification
+        this.climate.droughtProbability += 0.005;
+        this.climate.heatwaveProbability += 0.005;
+        this.climate.avgTemp += 0.05;  // ~2.5°F warmer over 50 years
+
+        this.addEvent(`Happy New Year! Completed Year ${this.year - 1} of farming.`);
+        this.reportWinterChill(chillHours);
+        this.chillHistory.push(chillHours);
+        this.chillHours = 0;
+
+        // Adjusted subsidies: partial random bonus, and generally lower amounts
+        this.distributeSubsidy(sustainabilityScore);
+
+        // Milestone events every 10 years
+        if (this.year % 10 === 0) {
+            this.addEvent(`Major milestone: ${this.year} years of operation!`);
+            if (this.rng.random() < 0.7) {
+                const policyEvent = Events.generatePolicyEvent(this.absoluteDay, this.farmHealth, null, this.rng);
+                this.scheduleEvent(policyEvent);
+                this.addEvent(`New climate policy announced for the next decade.`);
+            }
+        }
+
+        this.emit(GAME_EVENTS.yearEnded, {
+            year: this.year - 1,
+            sustainabilityScore,
+            farmValue: this.farmValue,
+            balance: this.balance,
+            chillHours
+        });
+    }
+
+    //--- WINTER CHILL REPORT ---
+    // Compare the winter's chill with what the tree crops need and with past winters
+    reportWinterChill(chillHours) {
+        const perennials = crops.filter(isPerennial);
+        const requirements = perennials
+            .map(crop => `${crop.name} need ${crop.lifecycle.chillRequirement}`)
+            .join(', ');
+        let message = `Winter chill: ${chillHours} hours (${requirements}).`;
+
+        if (this.chillHistory.length > 0) {
+            const average = this.chillHistory.reduce((sum, hours) => sum + hours, 0) / this.chillHistory.length;
+            const difference = Math.round(chillHours - average);
+            message += ` That is ${Math.abs(difference)} hours ${difference < 0 ? 'below' : 'above'} the average of past winters.`;
+        }
+
+        const shortCrops = perennials.filter(crop => chillHours < crop.lifecycle.chillRequirement);
+        if (shortCrops.length > 0) {
+            message += ` Too little chill for ${shortCrops.map(crop => crop.name).join(' and ')}: expect smaller harvests this year.`;
+        }
+
+        this.addEvent(message, shortCrops.length > 0);
+    }
+
+    //--- INFLATION LOGIC ---
+    applyAnnualInflation() {
+        // Increase overhead, planting, irrigation, and fertilizer costs by inflation rate
+        this.overheadCostPerCell = Math.round(this.overheadCostPerCell * (1 + this.annualInflationRate));
+        // You could store "basePlantCost", "baseIrrigationCost", etc. in the class,
+        // then update them with inflation. For demonstration, we’ll adapt planting/irrigation 
+        // logic to reference year-based inflation in their calculations directly.
+    }
+
+    //--- SUBSIDY CALCULATION (REDUCED + PARTLY RANDOM) ---
+    distributeSubsidy(sustainabilityScore) {
+        let baseSubsidy = 0;
+        const randomFactor = 0.5 + this.rng.random(); // random in [0.5, 1.5]
+
+        if (sustainabilityScore.total >= 70) {
+            // High sustainability
+            baseSubsidy = 4000; 
+        } else if (sustainabilityScore.total >= 50) {
+            baseSubsidy = 2000; 
+        } else if (sustainabilityScore.total >= 30) {
+            baseSubsidy = 1000;
+        }
+
+        if (baseSubsidy > 0) {
+            const finalSubsidy = Math.round(baseSubsidy * randomFactor);
+            this.balance += finalSubsidy;
+            this.addEvent(`Received a subsidy of $${finalSubsidy} for your sustainability efforts.`);
+        } else {
+            this.addEvent(`No subsidies granted this year due to low sustainability score.`);
+        }
+
+        // Healthy-soils incentive: every plot under a cover crop qualifies, whatever the score
+        if (sustainabilityScore.coverCropPlots > 0) {
+            const coverCropPayment = 75 * sustainabilityScore.coverCropPlots;
+            this.balance += coverCropPayment;
+            this.addEvent(`Received a $${coverCropPayment} cover crop incentive for ${sustainabilityScore.coverCropPlots} plots.`);
+        }
+    }
+
+    //--- CALCULATE SUSTAINABILITY SCORE ---
+    calculateSustainabilityScore() {
+        let soilScore = 0;
+        let cropDiversityScore = 0;
+        let techScore = 0;
+        let coverCropScore = 0;
+        let pestScore = 0;
+
+        let totalSoilHealth = 0;
+        let cellCount = 0;
+        let cropCounts = {};
+        let totalCrops = 0;
+        let monocropPenalty = 0;
+        let coverCropPlots = 0;
+        let hedgerowPlots = 0;
+
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.grid[row][col];
+                totalSoilHealth += cell.soilHealth;
+                cellCount++;
+                if (cell.hedgerow) {
+                    hedgerowPlots++;
+                }
+
+                if (isCoverCrop(cell.crop)) {
+                    coverCropPlots++;
+                } else if (isCashCrop(cell.crop)) {
+                    cropCounts[cell.crop.id] = (cropCounts[cell.crop.id] || 0) + 1;
+                    totalCrops++;
+                    if (cell.consecutivePlantings > 0) {
+                        monocropPenalty += cell.consecutivePlantings * 2;
+                    }
+                }
+            }
+        }
+
+        const avgSoilHealth = cellCount > 0 ? totalSoilHealth / cellCount : 0;
+        soilScore = Math.round(avgSoilHealth);
+
+        const uniqueCrops = Object.keys(cropCounts).length;
+        if (totalCrops > 0) {
+            const maxPossibleCrops = Math.min(totalCrops, getCashCrops().length);
+            let rawDiversityScore = (uniqueCrops / maxPossibleCrops) * 100;
+            const maxSingleCropCount = Math.max(...Object.values(cropCounts));
+            const dominantCropPercentage = maxSingleCropCount / totalCrops;
+            const distributionPenalty = dominantCropPercentage * 50;
+
+            cropDiversityScore = Math.round(Math.max(
+                0, 
+                rawDiversityScore - distributionPenalty - (monocropPenalty / totalCrops)
+            ));
+        }
+
+        // Tech scoring
+        const sustainableTechs = [
+            'drip_irrigation', 'soil_sensors', 'no_till_farming', 
+            'precision_drones', 'renewable_energy', 'greenhouse',
+            'drought_resistant', 'ai_irrigation', 'silvopasture'
+        ];
+        const maxTechScore = sustainableTechs.length * 100;
+        let rawTechScore = 0;
+
+        for (const tech of sustainableTechs) {
+            if (this.hasTechnology(tech)) {
+                switch (tech) {
+                    case 'no_till_farming':
+                    case 'silvopasture':
+                        rawTechScore += 20; 
+                        break;
+                    case 'drip_irrigation':
+                    case 'renewable_energy':
+                    case 'precision_drones':
+                        rawTechScore += 15; 
+                        break;
+                    default:
+                        rawTechScore += 10; 
+                }
+            }
+        }
+
+        techScore = Math.round((rawTechScore / maxTechScore) * 100);
+
+        // Cover crops on a quarter of the farm earn the full score
+        coverCropScore = Math.round(Math.min(100, (coverCropPlots / cellCount) * 400));
+
+        // Pest management: the year's chemical load per plot counts against it (spraying the
+        // whole farm with insecticide once costs 40 points), hedgerows for it
+        pestScore = Math.round(Math.max(0, Math.min(100,
+            100 - 10 * this.sprayLoad / cellCount + hedgerowPlots * Pests.HEDGEROW.sustainabilityCredit
+        )));
+
+        const totalScore = Math.round(
+            (soilScore * 0.3) + 
+            (cropDiversityScore * 0.3) + 
+            (techScore * 0.15) +
+            (coverCropScore * 0.15) +
+            (pestScore * 0.1)
+        );
+
+        return {
+            total: totalScore,
+            soilScore,
+            diversityScore: cropDiversityScore,
+            techScore,
+            coverCropScore,
+            coverCropPlots,
+            pestScore
+        };
+    }
+
+    //--- EVENT SCHEDULING ---
+    // Put an event on the timeline (its `day` is an absolute day); returns the scheduler id
+    scheduleEvent(event) {
+        const id = this.scheduler.schedule(event, Events.getEventTiming(event));
+        this.emit(GAME_EVENTS.eventScheduled, { event, id });
+        return id;
+    }
+
+    // Cancel a scheduled event before (or while) it runs
+    cancelEvent(id) {
+        const entry = this.scheduler.cancel(id);
+        if (entry) {
+            this.emit(GAME_EVENTS.eventCancelled, { event: entry.event, id });
+        }
+        return entry !== null;
+    }
+
+    // Events that have not started yet, soonest first
+    getUpcomingEvents(limit = 10) {
+        return this.scheduler.upcoming(this.absoluteDay, limit).map(entry => ({
+            id: entry.id,
+            type: entry.event.type,
+            startsIn: entry.day - this.absoluteDay,
+            duration: entry.duration,
+            priority: entry.priority,
+            forecastMessage: entry.event.forecastMessage,
+            event: entry.event
+        }));
+    }
+
+    //--- GROUNDWATER NITRATE ---
+    // Nitrate leached from the plots today reaches the aquifer (farm average per acre)
+    updateGroundwater() {
+        let leached = 0;
+        this.grid.forEach(row => row.forEach(cell => {
+            leached += cell.nitrateLeached;
+        }));
+        this.groundwaterNitrate = updateGroundwaterNitrate(this.groundwaterNitrate, leached / (this.gridSize * this.gridSize));
+    }
+
+    // Nitrogen washed out of the plots over the past season, by drainage and downpours alike,
+    // is fertilizer money lost: report its value and start counting afresh
+    reportNitrogenLosses() {
+        let leached = 0;
+        this.grid.forEach(row => row.forEach(cell => {
+            leached += cell.seasonNitrateLeached;
+            cell.seasonNitrateLeached = 0;
+        }));
+        if (leached >= 1) {
+            const lostValue = Math.round(leached * this.getNitrogenPrice());
+            this.addEvent(`Drainage and rain leached ${Math.round(leached)} lb of nitrogen from your plots last season ($${lostValue} of fertilizer lost).`);
+        }
+    }
+
+    // Over the limit regulators fine the farm (at most once a season); close to it they warn
+    checkNitrateRegulation() {
+        const { limit } = GROUNDWATER_NITRATE;
+        if (this.groundwaterNitrate > limit) {
+            this.scheduleEvent(Events.createNitrateViolationEvent(this.absoluteDay, this.groundwaterNitrate, limit, this.rng));
+            this.addEvent(`Groundwater nitrate is ${this.groundwaterNitrate.toFixed(1)} mg/L, above the ${limit} mg/L limit. Expect regulators to act.`, true);
+        } else if (this.groundwaterNitrate > limit * 0.8) {
+            this.addEvent(`Groundwater nitrate is nearing the regulatory limit (${this.groundwaterNitrate.toFixed(1)} of ${limit} mg/L). Cut back on nitrogen.`, true);
+        }
+    }
+
+    //--- TIMED MODIFIERS ---
+    // Start a modifier today (see MODIFIER_TARGETS); returns the new modifier
+    addModifier(spec) {
+        const modifier = this.modifiers.add({ startDay: this.absoluteDay, ...spec });
+        this.emit(GAME_EVENTS.modifierAdded, { modifier });
+        return modifier;
+    }
+
+    // Combined multiplier currently applied to a target (optionally for one crop)
+    getModifier(target, cropId = null) {
+        return this.modifiers.getMultiplier(target, cropId);
+    }
+
+    // Active modifiers with days remaining, for display
+    getActiveModifiers() {
+        return this.modifiers.list(this.absoluteDay);
+    }
+
+    expireModifiers() {
+        this.modifiers.expire(this.absoluteDay).forEach(modifier => {
+            this.emit(GAME_EVENTS.modifierExpired, { modifier });
+            this.addEvent(`${modifier.label} has ended.`);
+        });
+    }
+
+    //--- PROCESS PENDING EVENTS ---
+    processPendingEvents() {
+        const today = this.absoluteDay;
+
+        this.scheduler.due(today).forEach(occurrence => {
+            const { event } = occurrence;
+            let result = null;
+            switch (event.type) {
+                case 'rain':
+                    result = Events.applyRainEvent(event, this.grid, this.waterReserve, this.researchedTechs, this.rng);
+                    this.waterReserve = result.waterReserve;
+                    this.addEvent(result.message);
+                    const averageSoilLoss = result.soilLost / (this.gridSize * this.gridSize);
+                    if (averageSoilLoss >= 1) {
+                        this.addEvent(`Runoff carried away an average of ${averageSoilLoss.toFixed(1)} tons/acre of topsoil from your plots.`, true);
+                    }
+                    if (result.floodedPlots > 0) {
+                        this.addEvent(`The creek overtopped its banks and flooded ${result.floodedPlots} plots in the flood zone.`, true);
+                    }
+                    if (result.nitrateLeached >= 1) {
+                        const lostValue = Math.round(result.nitrateLeached * this.getNitrogenPrice());
+                        this.addEvent(`The downpour leached ${Math.round(result.nitrateLeached)} lb of surplus nitrogen from your plots ($${lostValue} of fertilizer lost).`, true);
+                    }
+                    break;
+                case 'drought':
+                    result = Events.applyDroughtEvent(event, this.grid, this.waterReserve, this.researchedTechs);
+                    this.waterReserve = result.waterReserve;
+                    if (occurrence.isFirstDay) {
+                        this.addEvent(result.message, true);
+                        if (event.severity !== 'mild') {
+                            this.offerFallowingAgreement(event.severity);
+                        }
+                    }
+                    if (occurrence.isLastDay) {
+                        this.addEvent(`The drought has ended.`);
+                    }
+                    break;
+                case 'heatwave':
+                    result = Events.applyHeatwaveEvent(event, this.grid, this.waterReserve, this.researchedTechs);
+                    this.waterReserve = result.waterReserve;
+                    if (occurrence.isFirstDay) {
+                        this.addEvent(result.message, true);
+                    }
+                    if (occurrence.isLastDay) {
+                        this.addEvent(`The heatwave has ended.`);
+                    }
+                    break;
+                case 'frost':
+                    result = Events.applyFrostEvent(event, this.grid, this.researchedTechs);
+                    this.addEvent(result.message, true);
+                    break;
+                case 'market':
+                    result = Events.applyMarketEvent(event, this.marketPrices, crops);
+                    this.marketPrices = result.marketPrices;
+                    this.addEvent(result.message);
+                    break;
+                case 'policy':
+                    result = Events.applyPolicyEvent(event, this.balance);
+                    this.balance = result.newBalance;
+                    this.addEvent(result.message, result.balanceChange < 0);
+                    break;
+                case 'technology':
+                    result = Events.applyTechnologyEvent(event, this.balance, this.researchedTechs);
+                    this.balance = result.newBalance;
+                    this.addEvent(result.message);
+                    break;
+            }
+
+            // Effects that last beyond the day the event lands
+            if (occurrence.isFirstDay) {
+                Events.getEventModifiers(event).forEach(spec => this.addModifier({ ...spec, source: event.type }));
+            }
+
+            this.emit(GAME_EVENTS.eventApplied, { event, result, id: occurrence.id, dayIndex: occurrence.dayIndex });
+        });
+
+        // Forget entries that have finished running
+        this.scheduler.prune(today);
+    }
+
+    //--- PLANT A CROP (WITH INFLATION-AWARE COST) ---
+    plantCrop(row, col, cropId) {
+        const cell = this.grid[row][col];
+        const newCrop = getCropById(cropId);
+        if (!newCrop || newCrop.id === 'empty') return false;
+
+        if (isPerennial(cell.crop)) {
+            this.addEvent(`Remove the ${cell.crop.name.toLowerCase()} planting before planting something else.`, true);
+            return false;
+        }
+        if (cell.fallowAgreement) {
+            this.addEvent(`This plot is enrolled in the district fallowing agreement until day ${this.fallowingAgreement.endDay}.`, true);
+            return false;
+        }
+        if (cell.feature) {
+            this.addEvent(`Remove the ${Landscape.getFeatureById(cell.feature).name.toLowerCase()} before planting this plot.`, true);
+            return false;
+        }
+
+        const plantingCost = this.getPlantingCost(newCrop);
+
+        if (this.balance < plantingCost) {
+            this.addEvent(`Cannot afford to plant ${newCrop.name}. Cost: $${plantingCost}`, true);
+            return false;
+        }
+
+        this.balance -= plantingCost;
+        cell.plant(newCrop, { noTill: this.hasTechnology('no_till_farming') });
+
+        this.emit(GAME_EVENTS.cellPlanted, { row, col, cropId: newCrop.id, cost: plantingCost });
+
+        this.addEvent(`Planted ${newCrop.name} at row ${row+1}, column ${col+1}. Cost: $${plantingCost}`);
+        return true;
+    }
+
+
+    //--- FERTILIZE A CELL (WITH INFLATION-AWARE COST) ---
+    // `fertilizerId` picks a product from FERTILIZERS, `rate` is a multiple of its standard rate
+    fertilizeCell(row, col, fertilizerId = 'balanced', rate = FERTILIZER_RATES.standard) {
+        const cell = this.grid[row][col];
+        const fertilizer = getFertilizerById(fertilizerId);
+        const fertilizeCost = this.getFertilizerCost(fertilizer, rate);
+
+        if (this.balance < fertilizeCost) {
+            this.addEvent(`Cannot afford fertilizer. Cost: $${fertilizeCost}`, true);
+            return false;
+        }
+
+        this.balance -= fertilizeCost;
+        const fertilizerEfficiency = this.getTechEffectValue('fertilizerEfficiency');
+        const added = cell.fertilize(fertilizer, rate, fertilizerEfficiency);
+
+        this.emit(GAME_EVENTS.cellFertilized, { row, col, cost: fertilizeCost, fertilizerId: fertilizer.id, rate, added });
+
+        this.addEvent(`Applied ${fertilizer.name} to plot at row ${row+1}, column ${col+1}. Cost: $${fertilizeCost}`);
+        return true;
+    }
+
+    //--- SPREAD COMPOST ON A CELL ---
+    compostCell(row, col) {
+        const cell = this.grid[row][col];
+        const compostCost = this.getCompostCost();
+
+        if (this.balance < compostCost) {
+            this.addEvent(`Cannot afford compost. Cost: $${compostCost}`, true);
+            return false;
+        }
+
+        this.balance -= compostCost;
+        cell.applyCompost();
+
+        this.emit(GAME_EVENTS.cellComposted, { row, col, cost: compostCost });
+
+        this.addEvent(`Spread compost on plot at row ${row+1}, column ${col+1}. Cost: $${compostCost}`);
+        return true;
+    }
+
+    //--- FARM A CELL ON THE CONTOUR ---
+    // Reshaping the rows to follow the contour is a one-time cost that keeps cutting erosion
+    contourCell(row, col) {
+        const cell = this.grid[row][col];
+        if (cell.contourFarming) {
+            this.addEvent('This plot is already farmed on the contour.', true);
+            return false;
+        }
+
+        const contourCost = this.getContourCost();
+        if (this.balance < contourCost) {
+            this.addEvent(`Cannot afford contour farming. Cost: $${contourCost}`, true);
+            return false;
+        }
+
+        this.balance -= contourCost;
+        cell.contourFarming = true;
+
+        this.emit(GAME_EVENTS.cellContoured, { row, col, cost: contourCost });
+
+        this.addEvent(`Plot at row ${row+1}, column ${col+1} is now farmed on the contour. Cost: $${contourCost}`);
+        return true;
+    }
+
+    //--- FALLOW ---
+    // Choose how an empty plot is kept: bare (tilled clean) or managed (mown resident vegetation)
+    setFallowType(row, col, fallowType) {
+        const cell = this.grid[row][col];
+        if (cell.crop.id !== 'empty') {
+            this.addEvent('Only an empty plot can be left fallow.', true);
+            return false;
+        }
+        if (cell.feature) {
+            this.addEvent(`This plot is given over to ${Landscape.getFeatureById(cell.feature).name.toLowerCase()}.`, true);
+            return false;
+        }
+        if (!FALLOW_TYPES[fallowType] || cell.fallowType === fallowType) return false;
+
+        const fallowCost = this.getFallowCost();
+        if (this.balance < fallowCost) {
+            this.addEvent(`Cannot afford to change the fallow. Cost: $${fallowCost}`, true);
+            return false;
+        }
+
+        this.balance -= fallowCost;
+        cell.fallowType = fallowType;
+
+        this.emit(GAME_EVENTS.cellFallowChanged, { row, col, fallowType, cost: fallowCost });
+
+        this.addEvent(`Plot at row ${row+1}, column ${col+1} is now under ${FALLOW_TYPES[fallowType].name.toLowerCase()}. Cost: $${fallowCost}`);
+        return true;
+    }
+
+    //--- FALLOWING AGREEMENTS ---
+    // Open the water district's offer, unless one is already running
+    offerFallowingAgreement(severity) {
+        if (this.fallowingAgreement) return;
+
+        this.fallowingAgreement = Events.createFallowingAgreement(this.absoluteDay, severity);
+        this.fallowingAgreement.paymentPerPlot = Math.round(this.fallowingAgreement.paymentPerPlot * this.getInflationMultiplier());
+
+        this.emit(GAME_EVENTS.fallowingOffered, { agreement: { ...this.fallowingAgreement } });
+
+        this.addEvent(
+            `The water district will pay $${this.fallowingAgreement.paymentPerPlot} per plot left fallow until day ${this.fallowingAgreement.endDay}. ` +
+            `Enroll empty plots within 30 days.`,
+            true
+        );
+    }
+
+    // Enroll an empty plot in the open fallowing offer; it can't be planted until the agreement ends
+    enrollFallowing(row, col) {
+        const cell = this.grid[row][col];
+        const agreement = this.fallowingAgreement;
+        if (!agreement || this.absoluteDay > agreement.enrollUntil) {
+            this.addEvent('The water district has no fallowing offer open.', true);
+            return false;
+        }
+        if (cell.crop.id !== 'empty') {
+            this.addEvent('Only an empty plot can be enrolled for fallowing.', true);
+            return false;
+        }
+        if (cell.feature) {
+            this.addEvent(`A plot given over to ${Landscape.getFeatureById(cell.feature).name.toLowerCase()} can't be enrolled for fallowing.`, true);
+            return false;
+        }
+        if (cell.fallowAgreement) return false;
+
+        cell.fallowAgreement = true;
+
+        this.emit(GAME_EVENTS.cellFallowEnrolled, { row, col, paymentPerPlot: agreement.paymentPerPlot });
+
+        this.addEvent(`Enrolled plot at row ${row+1}, column ${col+1} in the district fallowing agreement.`);
+        return true;
+    }
+
+    // Pay out and close the agreement once its term is over (or drop an offer nobody took)
+    updateFallowingAgreement() {
+        const agreement = this.fallowingAgreement;
+        if (!agreement) return;
+
+        const enrolled = this.grid.flat().filter(cell => cell.fallowAgreement);
+        if (enrolled.length === 0 && this.absoluteDay > agreement.enrollUntil) {
+            this.fallowingAgreement = null;
+            return;
+        }
+        if (this.absoluteDay < agreement.endDay) return;
+
+        const payment = agreement.paymentPerPlot * enrolled.length;
+        this.balance += payment;
+        enrolled.forEach(cell => {
+            cell.fallowAgreement = false;
+        });
+        this.fallowingAgreement = null;
+
+        this.emit(GAME_EVENTS.fallowingPaid, { plots: enrolled.length, payment });
+
+        this.addEvent(`The water district paid $${payment} for ${enrolled.length} fallowed plots. The plots are free to plant again.`);
+    }
+
+    //--- LEACHING IRRIGATION ---
+    // Flood a plot well past field capacity so the surplus carries salts below the root zone.
+    // It takes several irrigations' worth of money and draws on the farm's water reserve.
+    leachCell(row, col) {
+        const cell = this.grid[row][col];
+        const leachingCost = this.getLeachingCost();
+        const waterUse = 2; // % of water reserve
+
+        if (this.balance < leachingCost) {
+            this.addEvent(`Cannot afford a leaching irrigation. Cost: $${leachingCost}`, true);
+            return false;
+        }
+        if (this.waterReserve < waterUse) {
+            this.addEvent('Not enough water in reserve for a leaching irrigation.', true);
+            return false;
+        }
+
+        this.balance -= leachingCost;
+        this.waterReserve -= waterUse;
+        const salinityRemoved = cell.leachingIrrigation(this.irrigationWaterSalinity);
+
+        this.emit(GAME_EVENTS.cellLeached, { row, col, cost: leachingCost, salinityRemoved });
+
+        this.addEvent(`Leached salts from plot at row ${row+1}, column ${col+1}: soil salinity now ${cell.salinity.toFixed(1)} dS/m. Cost: $${leachingCost}`);
+        return true;
+    }
+
+    //--- PEST CONTROL ---
+    // Treat one plot with a pest control (see PEST_CONTROLS)
+    treatCell(row, col, controlId) {
+        return this.applyPestControl(row, col, controlId, [{ row, col, cell: this.grid[row][col] }]);
+    }
+
+    // Treat the plot and the ones around it. Precision drones only treat plots that need it.
+    treatZone(row, col, controlId) {
+        let plots = Pests.getZone(this.grid, row, col);
+        if (this.hasTechnology('precision_drones')) {
+            plots = plots.filter(({ cell }) => cell.pestId || cell.pestPressure >= 10);
+        }
+        return this.applyPestControl(row, col, controlId, plots);
+    }
+
+    applyPestControl(row, col, controlId, plots) {
+        const control = Pests.PEST_CONTROLS[controlId];
+        if (!control) {
+            this.addEvent(`Unknown pest control: ${controlId}`, true);
+            return false;
+        }
+        if (plots.length === 0) {
+            this.addEvent('No plots in this zone need treating.', true);
+            return false;
+        }
+
+        const cost = this.getPestControlCost(control) * plots.length;
+        if (this.balance < cost) {
+            this.addEvent(`Cannot afford ${control.name} on ${plots.length} plot${plots.length === 1 ? '' : 's'}. Cost: $${cost}`, true);
+            return false;
+        }
+
+        // Drones spray only the canopy that needs it, so less reaches the soil and the sustainability load halves
+        const targeted = this.hasTechnology('precision_drones');
+        const efficacy = Pests.getControlEfficacy(control, this.pesticideResistance);
+        this.balance -= cost;
+        const removed = plots.reduce((total, { cell }) => total + cell.treatPests(control, efficacy, { targeted }), 0);
+        this.sprayLoad += control.toxicity * plots.length * (targeted ? 0.5 : 1);
+
+        // Every plot sprayed breeds resistance to the chemistry
+        if (control.chemistry) {
+            this.pesticideResistance[control.chemistry] = Math.min(
+                Pests.PESTICIDE_RESISTANCE.max,
+                this.pesticideResistance[control.chemistry] + Pests.PESTICIDE_RESISTANCE.gainPerPlot * plots.length
+            );
+        }
+
+        this.emit(GAME_EVENTS.pestControlApplied, {
+            row,
+            col,
+            controlId,
+            plots: plots.map(plot => ({ row: plot.row, col: plot.col })),
+            cost,
+            efficacy,
+            pressureRemoved: removed
+        });
+
+        this.addEvent(`Applied ${control.name} to ${plots.length} plot${plots.length === 1 ? '' : 's'} ` +
+            `(efficacy ${Math.round(efficacy * 100)}%), removing ${Math.round(removed)} points of pest pressure. Cost: $${cost}`);
+        if (control.chemistry && efficacy < control.efficacy * 0.7) {
+            this.addEvent(`Pests are becoming resistant to ${control.name}. Rotate to other controls to let resistance fade.`, true);
+        }
+        return true;
+    }
+
+    // Plant a hedgerow along a plot; it shelters predators for the plot and its neighbors
+    installHedgerow(row, col) {
+        const cell = this.grid[row][col];
+        if (cell.hedgerow) {
+            this.addEvent('This plot already has a hedgerow.', true);
+            return false;
+        }
+
+        const hedgerowCost = this.getHedgerowCost();
+        if (this.balance < hedgerowCost) {
+            this.addEvent(`Cannot afford a hedgerow. Cost: $${hedgerowCost}`, true);
+            return false;
+        }
+
+        this.balance -= hedgerowCost;
+        cell.hedgerow = true;
+
+        this.emit(GAME_EVENTS.hedgerowInstalled, { row, col, cost: hedgerowCost });
+
+        this.addEvent(`Planted a hedgerow at row ${row+1}, column ${col+1}. Cost: $${hedgerowCost}`);
+        return true;
+    }
+
+    //--- LANDSCAPE FEATURES ---
+    // Give an empty plot over to a windbreak, shade trees or pollinator habitat that works for
+    // the plots around it
+    placeFeature(row, col, featureId) {
+        const cell = this.grid[row][col];
+        const feature = Landscape.getFeatureById(featureId);
+        if (!feature) return false;
+
+        if (cell.feature) {
+            this.addEvent(`This plot is already given over to ${Landscape.getFeatureById(cell.feature).name.toLowerCase()}.`, true);
+            return false;
+        }
+        if (cell.crop.id !== 'empty') {
+            this.addEvent('Only an empty plot can be given over to a landscape feature.', true);
+            return false;
+        }
+        if (cell.fallowAgreement) {
+            this.addEvent(`This plot is enrolled in the district fallowing agreement until day ${this.fallowingAgreement.endDay}.`, true);
+            return false;
+        }
+        if (feature.requiresTech && !this.hasTechnology(feature.requiresTech)) {
+            const tech = this.technologies.find(t => t.id === feature.requiresTech);
+            this.addEvent(`${feature.name} require ${tech ? tech.name : feature.requiresTech} research.`, true);
+            return false;
+        }
+
+        const featureCost = this.getFeatureCost(feature);
+        if (this.balance < featureCost) {
+            this.addEvent(`Cannot afford ${feature.name.toLowerCase()}. Cost: $${featureCost}`, true);
+            return false;
+        }
+
+        this.balance -= featureCost;
+        cell.feature = feature.id;
+
+        this.emit(GAME_EVENTS.featurePlaced, { row, col, featureId: feature.id, cost: featureCost });
+
+        this.addEvent(`Planted ${feature.name.toLowerCase()} at row ${row+1}, column ${col+1}. Cost: $${featureCost}`);
+        return true;
+    }
+
+    // Clear a landscape feature so the plot can be farmed again
+    removeFeature(row, col) {
+        const cell = this.grid[row][col];
+        const feature = Landscape.getFeatureById(cell.feature);
+        if (!feature) {
+            this.addEvent('There is no landscape feature on this plot.', true);
+            return false;
+        }
+
+        cell.feature = null;
+
+        this.emit(GAME_EVENTS.featureRemoved, { row, col, featureId: feature.id });
+
+        this.addEvent(`Cleared the ${feature.name.toLowerCase()} at row ${row+1}, column ${col+1}.`);
+        return true;
+    }
+
+    //--- END A COVER CROP ---
+    // Terminating (mowing/rolling) leaves a protective mulch; incorporating plows the biomass in
+    terminateCoverCrop(row, col, { incorporate = false } = {}) {
+        const cell = this.grid[row][col];
+        if (!isCoverCrop(cell.crop)) {
+            this.addEvent('There is no cover crop on this plot.', true);
+            return false;
+        }
+
+        const terminationCost = this.getTerminationCost(incorporate);
+        if (this.balance < terminationCost) {
+            this.addEvent(`Cannot afford to ${incorporate ? 'incorporate' : 'terminate'} the cover crop. Cost: $${terminationCost}`, true);
+            return false;
+        }
+
+        this.balance -= terminationCost;
+        const cropId = cell.crop.id;
+        const cropName = cell.crop.name;
+        const nitrogen = cell.terminateCoverCrop({ incorporate, noTill: this.hasTechnology('no_till_farming') });
+
+        this.emit(GAME_EVENTS.coverCropTerminated, { row, col, cropId, incorporate, cost: terminationCost, nitrogen });
+
+        this.addEvent(
+            `${incorporate ? 'Incorporated' : 'Terminated'} ${cropName} at row ${row+1}, column ${col+1}, ` +
+            `releasing ${Math.round(nitrogen)} lb/acre of nitrogen. Cost: $${terminationCost}`
+        );
+        return true;
+    }
+
+    //--- REMOVE AN ORCHARD OR VINEYARD ---
+    // Pulling out trees or vines costs money; the chipped wood goes back into the soil
+    removePerennial(row, col) {
+        const cell = this.grid[row][col];
+        if (!isPerennial(cell.crop)) {
+            this.addEvent('There is no orchard or vineyard on this plot.', true);
+            return false;
+        }
+
+        const removalCost = this.getRemovalCost(cell.crop);
+        if (this.balance < removalCost) {
+            this.addEvent(`Cannot afford to remove the ${cell.crop.name.toLowerCase()}. Cost: $${removalCost}`, true);
+            return false;
+        }
+
+        this.balance -= removalCost;
+        const cropId = cell.crop.id;
+        const cropName = cell.crop.name;
+        const age = cell.perennialYears;
+        cell.removePerennial();
+
+        this.emit(GAME_EVENTS.perennialRemoved, { row, col, cropId, age, cost: removalCost });
+
+        this.addEvent(`Removed ${age}-year-old ${cropName.toLowerCase()} at row ${row+1}, column ${col+1}. Cost: $${removalCost}`);
+        return true;
+    }
+
+    //--- HARVEST A CELL ---
+    harvestCell(row, col) {
+        const cell = this.grid[row][col];
+        if (cell.crop.id === 'empty') {
+            this.addEvent('Nothing to harvest in this plot.', true);
+            return false;
+        }
+        if (isCoverCrop(cell.crop)) {
+            this.addEvent('Cover crops are not harvested. Terminate or incorporate them instead.', true);
+            return false;
+        }
+        if (!cell.harvestReady) {
+            this.addEvent('Crop is not ready for harvest yet.', true);
+            return false;
+        }
+
+        // Crops picked several times need a picking crew every time
+        const laborCost = hasMultiplePickings(cell.crop) ? this.getPickingCost(cell.crop) : 0;
+        if (this.balance < laborCost) {
+            this.addEvent(`Cannot afford the picking crew. Cost: $${laborCost}`, true);
+            return false;
+        }
+        const picking = cell.pickingsTaken + 1;
+        const morePickings = cell.morePickings;
+
+        // Market price multiplied by yield
+        const marketPrice = this.getCropPrice(cell.crop.id);
+        const harvestedCropId = cell.crop.id;
+        const pollination = Landscape.getNeighborEffects(this.grid, row, col).pollination;
+        const result = cell.harvest(marketPrice, this.getModifier(MODIFIER_TARGETS.yield, harvestedCropId) * (1 + pollination));
+        this.balance += result.value - laborCost;
+
+        this.emit(GAME_EVENTS.cellHarvested, {
+            row,
+            col,
+            cropId: harvestedCropId,
+            value: result.value,
+            yieldPercentage: result.yieldPercentage,
+            quality: result.quality,
+            grade: result.grade,
+            picking: laborCost > 0 ? picking : null,
+            laborCost,
+            pollination
+        });
+
+        if (laborCost > 0) {
+            const { max } = getCropById(harvestedCropId).pickings;
+            this.addEvent(`Picked ${result.cropName} (picking ${picking} of ${max}) for $${result.value}, picking crew $${laborCost}. ` +
+                `Yield: ${result.yieldPercentage}%, ${result.grade} (quality ${result.quality}%)` +
+                (morePickings ? '. The plants will fruit again.' : '. That was the last picking.'));
+        } else {
+            this.addEvent(`Harvested ${result.cropName} for $${result.value}. Yield: ${result.yieldPercentage}%, ${result.grade} (quality ${result.quality}%)` +
+                (isPerennial(cell.crop) ? '. The planting rests until spring.' : ''));
+        }
+        if (pollination > 0) {
+            this.addEvent(`Pollinators from nearby habitat raised the ${result.cropName.toLowerCase()} yield by ${Math.round(pollination * 100)}%.`);
+        }
+        return true;
+    }
+
+    // End multi-picking plantings whose season is over (only once picking has started)
+    endPickingSeasons() {
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const cell = this.grid[row][col];
+                if (!hasMultiplePickings(cell.crop) || cell.pickingsTaken === 0) continue;
+                if (cell.crop.pickings.endSeason !== this.season) continue;
+
+                const cropId = cell.crop.id;
+                const pickings = cell.pickingsTaken;
+                cell.endPickingSeason();
+                this.emit(GAME_EVENTS.pickingSeasonEnded, { row, col, cropId, pickings });
+                this.addEvent(`The ${getCropById(cropId).name} season is over at row ${row+1}, column ${col+1} ` +
+                    `after ${pickings} picking${pickings === 1 ? '' : 's'}. The plants were worked into the soil.`);
+            }
+        }
+    }
+
+    //--- COSTS AND PRICES ---
+    // Inflation compounds yearly: (1 + annualInflationRate)^(year - 1)
+    getInflationMultiplier() {
+        return Math.pow((1 + this.annualInflationRate), this.year - 1);
+    }
+
+    // Base planting cost = 0.4 * basePrice (times the establishment cost of orchards and vineyards), inflated
+    getPlantingCost(crop) {
+        const establishmentFactor = isPerennial(crop) ? crop.lifecycle.establishmentCostFactor : 1;
+        return Math.round(crop.basePrice * 0.4 * establishmentFactor * this.getInflationMultiplier()
+            * this.getModifier(MODIFIER_TARGETS.plantingCost, crop.id));
+    }
+
+    // Picking crew for one picking of a multi-picking crop, inflated
+    getPickingCost(crop) {
+        return Math.round(crop.pickings.laborCost * this.getInflationMultiplier());
+    }
+
+    // Removing an orchard or vineyard, inflated
+    getRemovalCost(crop) {
+        return Math.round(crop.lifecycle.removalCost * this.getInflationMultiplier());
+    }
+
+    // Base irrigation cost $200, inflated
+    getIrrigationCost() {
+        return Math.round(200 * this.getInflationMultiplier() * this.getModifier(MODIFIER_TARGETS.irrigationCost));
+    }
+
+    // Base fertilizer cost $300 for a standard application, scaled by product and rate, inflated
+    getFertilizerCost(fertilizer = getFertilizerById('balanced'), rate = FERTILIZER_RATES.standard) {
+        return Math.round(300 * fertilizer.costFactor * rate * this.getInflationMultiplier()
+            * this.getModifier(MODIFIER_TARGETS.fertilizerCost));
+    }
+
+    // A leaching irrigation costs three regular irrigations
+    getLeachingCost() {
+        return 3 * this.getIrrigationCost();
+    }
+
+    // Tilling a plot clean or setting it up for managed fallow costs $30, inflated
+    getFallowCost() {
+        return Math.round(30 * this.getInflationMultiplier());
+    }
+
+    // Mowing/rolling a cover crop costs $40 per plot, disking it in $80, inflated
+    getTerminationCost(incorporate = false) {
+        return Math.round((incorporate ? 80 : 40) * this.getInflationMultiplier());
+    }
+
+    // Pest control per plot, inflated; drones cut application costs by 30%
+    getPestControlCost(control) {
+        const droneFactor = this.hasTechnology('precision_drones') ? 0.7 : 1;
+        return Math.round(control.cost * droneFactor * this.getInflationMultiplier());
+    }
+
+    // Base hedgerow cost $500 per plot, inflated
+    getHedgerowCost() {
+        return Math.round(Pests.HEDGEROW.cost * this.getInflationMultiplier());
+    }
+
+    // Landscape feature per plot (windbreak $700, shade trees $600, pollinator habitat $300), inflated
+    getFeatureCost(feature) {
+        return Math.round(feature.cost * this.getInflationMultiplier());
+    }
+
+    // Base compost cost $250 per application, inflated
+    getCompostCost() {
+        return Math.round(250 * this.getInflationMultiplier());
+    }
+
+    // Base contour layout cost $400 per plot, inflated
+    getContourCost() {
+        return Math.round(400 * this.getInflationMultiplier());
+    }
+
+    // Current cost of a pound of nitrogen, from the straight nitrogen product
+    getNitrogenPrice() {
+        const fertilizer = getFertilizerById('nitrogen');
+        return this.getFertilizerCost(fertilizer) / fertilizer.nutrients.nitrogen;
+    }
+
+    // Research is priced in today's dollars; breakthroughs discount it
+    getResearchCost(tech) {
+        return Math.round(tech.cost * this.getModifier(MODIFIER_TARGETS.researchCost));
+    }
+
+    // Current market price multiplier for a crop, including temporary price spikes
+    getCropPrice(cropId) {
+        const basePrice = this.marketPrices[cropId] || 1.0;
+        const modifier = this.getModifier(MODIFIER_TARGETS.cropPrice, cropId);
+
+        // Spikes are capped at 3x, as market opportunities always were
+        return Math.min(3.0, basePrice * modifier);
+    }
+
+    //--- INITIALIZE MARKET PRICES ---
+    updateMarketPrices() {
+        getCashCrops().forEach(crop => {
+            // Base random factor: 0.8 - 1.2
+            this.marketPrices[crop.id] = 0.8 + this.rng.random() * 0.4;
+        });
+    }
+
+    //--- FLUCTUATE MARKET PRICES ---
+    fluctuateMarketPrices() {
+        getCashCrops().forEach(crop => {
+            const change = 0.9 + this.rng.random() * 0.2;
+            this.marketPrices[crop.id] *= change;
+            this.marketPrices[crop.id] = Math.max(0.5, Math.min(2.0, this.marketPrices[crop.id]));
+        });
+    }
+
+    //--- ADD EVENT TO LOG ---
+    addEvent(message, isAlert = false) {
+        const event = {
+            date: `${this.season}, Year ${this.year}`,
+            message,
+            isAlert
+        };
+        this.events.unshift(event);
+
+        if (this.events.length > 20) {
+            this.events.pop();
+        }
+
+        // The logger and UI both pick this up from the event bus
+        this.emit(GAME_EVENTS.messageLogged, event);
+    }
+
+    //--- TOGGLE PAUSE ---
+    togglePause() {
+        this.paused = !this.paused;
+        this.emit(GAME_EVENTS.pauseChanged, { paused: this.paused });
+    }
+
+    //--- CHECK/GET TECH EFFECT ---
+    hasTechnology(techId) {
+        return this.researchedTechs.includes(techId);
+    }
+    getTechEffectValue(effectName, defaultValue = 1.0) {
+        return getTechEffectValue(effectName, this.researchedTechs, defaultValue);
+    }
+    checkTechPrerequisites(tech) {
+        return checkTechPrerequisites(tech, this.researchedTechs);
+    }
+
+    //--- RESEARCH A TECHNOLOGY (WITH MAINTENANCE COST) ---
+    researchTechnology(techId) {
+        const tech = this.technologies.find(t => t.id === techId);
+        if (!tech || tech.researched) return false;
+
+        if (!this.checkTechPrerequisites(tech)) {
+            this.addEvent(`Cannot research ${tech.name} - prerequisites not met.`, true);
+            return false;
+        }
+
+        const researchCost = this.getResearchCost(tech);
+        if (this.balance < researchCost) {
+            this.addEvent(`Cannot afford to research ${tech.name}. Cost: $${researchCost}`, true);
+            return false;
+        }
+
+        // Deduct cost
+        this.balance -= researchCost;
+        tech.researched = true;
+        this.researchedTechs.push(tech.id);
+
+        // Immediate effects
+        this.applyTechnologyEffects(tech);
+
+        this.emit(GAME_EVENTS.techResearched, { techId: tech.id, name: tech.name, cost: researchCost });
+        this.addEvent(`Researched ${tech.name} for $${researchCost}`);
+
+        return true;
+    }
+
+    //--- APPLY TECHNOLOGY EFFECTS (INCL. SOIL BOOST, ETC.) ---
+    applyTechnologyEffects(tech) {
+        // If it has a soilHealth multiplier, it restores soil structure
+        if (tech.effects.soilHealth) {
+            for (let row = 0; row < this.gridSize; row++) {
+                for (let col = 0; col < this.gridSize; col++) {
+                    const cell = this.grid[row][col];
+                    cell.changeStructure(cell.soilStructure * (tech.effects.soilHealth - 1));
+                }
+            }
+        }
+        // Optionally introduce ongoing maintenance cost for certain technologies
+    }
+
+    //--- SAVE / LOAD ---
+    saveGame(slotName = Persistence.AUTOSAVE_SLOT) {
+        try {
+            Persistence.writeSave(slotName, Persistence.serializeGame(this));
+            this.logger.log(`Game saved to slot "${slotName}"`, 2);
+            return true;
+        } catch (error) {
+            this.addEvent(`Could not save game: ${error.message}`, true);
+            return false;
+        }
+    }
+
+    loadGame(slotName = Persistence.AUTOSAVE_SLOT) {
+        try {
+            // A corrupt slot throws from readSave as well as from applying the data
+            const data = Persistence.readSave(slotName);
+            if (!data) {
+                this.addEvent(`No saved game found in slot "${slotName}".`, true);
+                return false;
+            }
+            Persistence.applySaveData(this, data);
+        } catch (error) {
+            this.addEvent(`Could not load game: ${error.message}`, true);
+            return false;
+        }
+
+        this.emit(GAME_EVENTS.stateLoaded, { slotName });
+        this.addEvent(`Loaded saved game "${slotName}" (${this.season}, Year ${this.year}).`);
+        return true;
+    }
+
+    autosave() {
+        if (this.saveGame(Persistence.AUTOSAVE_SLOT)) {
+            this.logger.log(`Autosaved on day ${this.day}, Year ${this.year}`, 2);
+        }
+    }
+
+    listSaveSlots() {
+        return Persistence.listSaves();
+    }
+
+    deleteSaveSlot(slotName) {
+        return Persistence.deleteSave(slotName);
+    }
+
+    //--- TEST MODE METHODS ---
+    setupTestMode() {
+        this.logger.log(`Test mode enabled: ${this.testStrategy}`);
+    }
+    runTestUpdate() {
+        if (this.autoTerminate && (this.year >= this.testEndYear || this.balance <= 0)) {
+            this.logger.log(`Test termination condition met. Year: ${this.year}, Balance: ${this.balance}`);
+            this.terminateTest();
+            return;
+        }
+    }
+    terminateTest() {
+        this.paused = true;
+        this.emit(GAME_EVENTS.pauseChanged, { paused: this.paused });
+        if (this.nextTestCallback) {
+            setTimeout(() => this.nextTestCallback(), 1000);
+        }
+    }
+}
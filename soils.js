@@ -0,0 +1,404 @@
+/**
+ * California Climate Farmer - Soil Processes
+ *
+ * This file contains the per-cell soil models. The daily soil water balance
+ * follows the TDD: M[t+1] = M[t] + I + R - Kc * ET0 - D, where M is the water
+ * held in the root zone (mm), I and R irrigation and rain, Kc * ET0 the crop's
+ * evapotranspiration and D drainage below the root zone.
+ *
+ * Soil fertility is tracked as plant-available nitrogen, phosphorus and
+ * potassium pools (lb/acre). Growing crops take nutrients up in step with their
+ * development, part of what they took up leaves the field with the harvest, and
+ * fertilizer applications refill the pools. Nitrogen beyond what the crop can
+ * use washes out as nitrate with drainage water and heavy rain, ending up in the
+ * groundwater beneath the farm.
+ *
+ * Soil organic matter (OM, % by weight) is the long-term store behind both: each
+ * point of OM lets the soil hold more water and slowly mineralizes nitrogen.
+ * Crop residue, compost and no-till build it up; decomposition and tillage wear
+ * it down. A cell's soil health is derived from its OM, nutrients and structure.
+ *
+ * Rain erodes topsoil by the Universal Soil Loss Equation, A = R * K * LS * C * P:
+ * rainfall erosivity, soil erodibility, slope length and steepness, cover and
+ * support practice. Lost topsoil takes organic matter and nutrients with it and
+ * permanently lowers the field's yield potential.
+ *
+ * Salinity is tracked as the electrical conductivity of the saturated soil
+ * extract (ECe, dS/m). Irrigation water brings salts in, evaporation during
+ * drought concentrates them, and water draining below the root zone (rain or a
+ * deliberate leaching irrigation) carries them out. Crops lose yield above their
+ * salt tolerance threshold (Maas-Hoffman).
+ *
+ * A plot left empty is fallow. Resting soil slowly rebuilds: pests lose their
+ * hosts, minerals weather back into available phosphorus and potassium, and
+ * structure recovers. Bare fallow starves pests fastest but leaves the soil
+ * open to erosion; managed fallow keeps a mown cover of resident vegetation
+ * that protects and feeds the soil at the cost of some water.
+ */
+
+// Root-zone water properties (mm of water held in the root zone)
+export const SOIL_WATER = Object.freeze({
+    fieldCapacity: 150,   // Water the soil holds after free drainage at the starting organic matter (~6 in)
+    saturationRatio: 1.3, // Saturated soil holds this multiple of field capacity; more runs off
+    drainageRate: 0.5     // Share of the water above field capacity that drains away each day
+});
+
+// Depth of water applied by one manual irrigation (mm, about 2 inches)
+export const IRRIGATION_DEPTH = 50;
+
+// Crop coefficient for bare soil (evaporation only)
+export const BARE_SOIL_KC = 0.2;
+
+// Add water (rain or irrigation, mm) to the root zone. Whatever the soil cannot
+// take up because it is already saturated runs off and is lost.
+export function addSoilWater(moisture, amount, fieldCapacity, soil = SOIL_WATER) {
+    const capacity = fieldCapacity * soil.saturationRatio;
+    const total = moisture + amount;
+    return {
+        moisture: Math.min(total, capacity),
+        runoff: Math.max(0, total - capacity)
+    };
+}
+
+// One day of the water balance, after the day's rain/irrigation have been added.
+// Returns the new moisture, the water lost to evapotranspiration and drainage, and
+// the unstressed (potential) ET the crop would have used with ample water (all mm).
+export function dailyWaterBalance(moisture, fieldCapacity, kc, et0, soil = SOIL_WATER) {
+    // Crops can't pull the full demand from dry soil: below half of field capacity
+    // actual ET falls off linearly (FAO-56 water stress coefficient)
+    const readilyAvailable = fieldCapacity * 0.5;
+    const stressCoefficient = moisture >= readilyAvailable ? 1 : moisture / readilyAvailable;
+    const potentialEt = kc * et0;
+    const et = Math.min(moisture, potentialEt * stressCoefficient);
+
+    // Water above field capacity drains below the root zone
+    const afterET = moisture - et;
+    const drainage = Math.max(0, afterET - fieldCapacity) * soil.drainageRate;
+
+    return {
+        moisture: afterET - drainage,
+        et,
+        potentialEt,
+        drainage
+    };
+}
+
+// FAO-33 yield response to water: 1 - Y/Ymax = Ky * (1 - ETa/ETm).
+// Returns Y/Ymax (0-1) from the actual and maximum ET accumulated over the season.
+export function calculateWaterYieldFactor(actualEt, maximumEt, ky) {
+    if (maximumEt <= 0) return 1;
+    const relativeDeficit = 1 - Math.min(1, actualEt / maximumEt);
+    return Math.max(0, 1 - ky * relativeDeficit);
+}
+
+//--- NUTRIENTS ---
+
+export const NUTRIENTS = Object.freeze(['nitrogen', 'phosphorus', 'potassium']);
+
+// Plant-available nutrients in a typical valley loam at the start of the game (lb/acre)
+export const INITIAL_NUTRIENTS = Object.freeze({ nitrogen: 100, phosphorus: 30, potassium: 300 });
+
+// Share of the nutrients in the crop that leaves the field with the harvest;
+// the rest returns to the soil with the crop residue
+export const HARVEST_NUTRIENT_REMOVAL = 0.6;
+
+// Below this share of the crop's season need a nutrient starts limiting growth
+const CRITICAL_NUTRIENT_SHARE = 0.5;
+
+// Fertilizer products; nutrients are lb/acre for one application at the standard rate,
+// and `costFactor` scales the base fertilizer cost
+export const FERTILIZERS = Object.freeze([
+    { id: 'balanced', name: 'Balanced NPK', nutrients: { nitrogen: 40, phosphorus: 15, potassium: 30 }, costFactor: 1.0 },
+    { id: 'nitrogen', name: 'Nitrogen (UAN)', nutrients: { nitrogen: 60, phosphorus: 0, potassium: 0 }, costFactor: 0.8 },
+    { id: 'phosphate_potash', name: 'Phosphate + Potash', nutrients: { nitrogen: 0, phosphorus: 30, potassium: 60 }, costFactor: 0.9 }
+]);
+
+// Application rates, as multiples of the standard rate (nutrients and cost scale together)
+export const FERTILIZER_RATES = Object.freeze({ light: 0.5, standard: 1.0, heavy: 1.5 });
+
+export function getFertilizerById(id) {
+    return FERTILIZERS.find(fertilizer => fertilizer.id === id) || FERTILIZERS[0];
+}
+
+// How well the soil supplies a crop (0-1). By Liebig's law of the minimum the
+// scarcest nutrient, relative to the crop's season need, sets the limit.
+export function calculateNutrientSufficiency(pools, needs) {
+    return Math.min(...NUTRIENTS.map(nutrient => {
+        const critical = needs[nutrient] * CRITICAL_NUTRIENT_SHARE;
+        return critical > 0 ? Math.min(1, pools[nutrient] / critical) : 1;
+    }));
+}
+
+// Take up the nutrients for a share (0-1) of the crop's season development.
+// Returns the updated pools and what the crop actually got (limited by the pools).
+export function takeUpNutrients(pools, needs, share) {
+    const remaining = { ...pools };
+    const uptake = {};
+    NUTRIENTS.forEach(nutrient => {
+        uptake[nutrient] = Math.min(remaining[nutrient], needs[nutrient] * share);
+        remaining[nutrient] -= uptake[nutrient];
+    });
+    return { pools: remaining, uptake };
+}
+
+//--- NITRATE LEACHING ---
+
+// Nitrogen the soil holds onto in organic and ammonium forms (lb/acre); only the rest
+// of the pool beyond the crop's remaining uptake is mobile nitrate
+export const RETAINED_NITROGEN = 40;
+
+// Nitrogen a day's mineralization adds to the plant-available pool (lb/acre). Without a
+// growing crop to take it up, soil microbes immobilize the release back into organic matter
+// once the pool is down to what the soil retains, so an idle plot's nitrogen settles there
+// instead of building up as leachable nitrate.
+export function getAvailableMineralizedNitrogen(mineralized, nitrogen, cropTakingUp) {
+    if (cropTakingUp) return mineralized;
+    return Math.max(0, Math.min(mineralized, RETAINED_NITROGEN - nitrogen));
+}
+
+// Share of the mobile nitrate carried off per field capacity worth of drainage water
+const LEACHING_PER_DRAINAGE = 1.5;
+
+// Share of the mobile nitrate a heavy rain flushes through the root zone at once
+export const HEAVY_RAIN_LEACHING = 0.3;
+
+// Soil structure lost per lb/acre of nitrate leached (acidification from over-fertilizing)
+export const LEACHING_SOIL_DAMAGE = 0.03;
+
+// Nitrate nitrogen that can leave the root zone (lb/acre), given what the crop still needs
+export function getMobileNitrogen(nitrogen, remainingUptake) {
+    return Math.max(0, nitrogen - remainingUptake - RETAINED_NITROGEN);
+}
+
+// Share of the mobile nitrate carried away by a day's drainage (mm). Precise
+// application (fertilizer efficiency above 1) keeps less nitrate exposed.
+export function getDrainageLeachingShare(drainage, fieldCapacity, fertilizerEfficiency = 1.0) {
+    return Math.min(1, (drainage / fieldCapacity) * LEACHING_PER_DRAINAGE) / fertilizerEfficiency;
+}
+
+// Groundwater under the farm, as nitrate-nitrogen concentration (mg/L)
+export const GROUNDWATER_NITRATE = Object.freeze({
+    baseline: 4,            // Background level in the aquifer
+    limit: 10,              // Drinking water standard regulators enforce (EPA MCL)
+    perPoundLeached: 0.1,   // Rise per lb/acre leached, averaged over the farm
+    recoveryRate: 0.002     // Share of the excess over baseline that disperses each day
+});
+
+// One day of groundwater nitrate given the farm-average nitrate leached today (lb/acre)
+export function updateGroundwaterNitrate(concentration, averageLeached) {
+    const recovered = (concentration - GROUNDWATER_NITRATE.baseline) * GROUNDWATER_NITRATE.recoveryRate;
+    return concentration - recovered + averageLeached * GROUNDWATER_NITRATE.perPoundLeached;
+}
+
+//--- SOIL ORGANIC MATTER ---
+
+export const SOIL_ORGANIC_MATTER = Object.freeze({
+    initial: 2.2,              // % by weight, typical for a farmed valley loam
+    healthyLevel: 3.0,         // Level that scores as fully healthy
+    decayRate: 0.03,           // Share that decomposes per year in a warm climate
+    noTillDecayFactor: 0.5,    // Undisturbed soil oxidizes its organic matter more slowly
+    tillageLoss: 0.01,         // Points lost to the burst of oxidation when a seedbed is tilled
+    humificationPerTon: 0.01,  // Points gained per ton/acre of crop residue worked back in
+    waterPerPoint: 20,         // Extra field capacity (mm) per point (~20,000 gal/acre)
+    nitrogenPerPoint: 25       // Nitrogen mineralized per point per year (lb/acre); plots without a growing
+                               // crop keep it only up to RETAINED_NITROGEN (see getAvailableMineralizedNitrogen)
+});
+
+// Soil structure (aggregate stability, 0-100) starts intact and slowly rebuilds
+// itself, faster in soil rich in organic matter
+export const SOIL_STRUCTURE = Object.freeze({
+    initial: 100,
+    recoveryRate: 0.03  // Points per day at the starting organic matter
+});
+
+// One application of compost (about 5 tons/acre)
+export const COMPOST = Object.freeze({
+    organicMatter: 0.075,
+    nutrients: { nitrogen: 20, phosphorus: 10, potassium: 20 }
+});
+
+// Field capacity (mm) of a root zone with the given organic matter and soil type
+export function getFieldCapacity(organicMatter, soilType = 'loam') {
+    const extra = (organicMatter - SOIL_ORGANIC_MATTER.initial) * SOIL_ORGANIC_MATTER.waterPerPoint;
+    const waterHolding = (SOIL_TYPES[soilType] || SOIL_TYPES.loam).waterHolding;
+    return Math.max(SOIL_WATER.fieldCapacity / 2, SOIL_WATER.fieldCapacity + extra) * waterHolding;
+}
+
+// One day of decomposition: returns the organic matter left and the nitrogen
+// it released (lb/acre)
+export function decomposeOrganicMatter(organicMatter, noTill = false) {
+    const decayFactor = noTill ? SOIL_ORGANIC_MATTER.noTillDecayFactor : 1;
+    return {
+        organicMatter: organicMatter * (1 - SOIL_ORGANIC_MATTER.decayRate * decayFactor / 360),
+        mineralizedNitrogen: organicMatter * SOIL_ORGANIC_MATTER.nitrogenPerPoint / 360
+    };
+}
+
+// Nutrient levels that score as fully adequate for soil health (lb/acre)
+const ADEQUATE_NUTRIENTS = { nitrogen: 80, phosphorus: 20, potassium: 120 };
+
+// How much each component counts towards soil health
+const SOIL_HEALTH_WEIGHTS = { organicMatter: 0.35, nutrients: 0.2, structure: 0.3, salinity: 0.15 };
+
+// Soil health (0-100) from organic matter, the nutrient pools, soil structure and salinity
+export function calculateSoilHealth({ organicMatter, nutrients, structure, salinity = SOIL_SALINITY.initial }) {
+    const organicScore = Math.min(1, organicMatter / SOIL_ORGANIC_MATTER.healthyLevel);
+    const nutrientScore = NUTRIENTS.reduce((total, nutrient) =>
+        total + Math.min(1, nutrients[nutrient] / ADEQUATE_NUTRIENTS[nutrient]), 0) / NUTRIENTS.length;
+    const structureScore = structure / 100;
+    const salinityScore = Math.max(0, Math.min(1, 1 - (salinity - SOIL_SALINITY.initial) / SOIL_SALINITY.severe));
+
+    return 100 * (
+        SOIL_HEALTH_WEIGHTS.organicMatter * organicScore +
+        SOIL_HEALTH_WEIGHTS.nutrients * nutrientScore +
+        SOIL_HEALTH_WEIGHTS.structure * structureScore +
+        SOIL_HEALTH_WEIGHTS.salinity * salinityScore
+    );
+}
+
+//--- SOIL EROSION (USLE) ---
+
+// Soil types from coarsest to finest: texture class (sand, loam or clay), USLE erodibility K
+// (tons/acre per unit of erosivity), `waterHolding` (multiple of a loam's field capacity) and
+// `drainageRate` (share of the water above field capacity that drains away each day)
+export const SOIL_TYPES = Object.freeze({
+    sand: { name: 'Loamy Sand', texture: 'sand', erodibility: 0.1, waterHolding: 0.55, drainageRate: 0.85 },
+    sandy_loam: { name: 'Sandy Loam', texture: 'sand', erodibility: 0.2, waterHolding: 0.75, drainageRate: 0.7 },
+    loam: { name: 'Loam', texture: 'loam', erodibility: 0.3, waterHolding: 1.0, drainageRate: 0.5 },
+    silt_loam: { name: 'Silt Loam', texture: 'loam', erodibility: 0.4, waterHolding: 1.15, drainageRate: 0.4 },
+    clay_loam: { name: 'Clay Loam', texture: 'clay', erodibility: 0.25, waterHolding: 1.2, drainageRate: 0.3 },
+    clay: { name: 'Clay', texture: 'clay', erodibility: 0.2, waterHolding: 1.25, drainageRate: 0.15 }
+});
+
+// Root-zone water properties (see SOIL_WATER) of each soil type
+const SOIL_WATER_BY_TYPE = Object.freeze(Object.fromEntries(Object.entries(SOIL_TYPES).map(([id, type]) =>
+    [id, Object.freeze({ ...SOIL_WATER, drainageRate: type.drainageRate })]
+)));
+
+// Root-zone water properties for a soil type (a loam's for unknown types)
+export function getSoilWater(soilType) {
+    return SOIL_WATER_BY_TYPE[soilType] || SOIL_WATER;
+}
+
+// Erosivity R per point of rain (the event's water increase); intense storms are far more erosive
+const RAIN_EROSIVITY = { light: 1, moderate: 2, heavy: 4 };
+
+// Length of the slope down one plot (ft)
+export const PLOT_SLOPE_LENGTH = 100;
+
+// Cover factor C of bare soil
+export const BARE_SOIL_C_FACTOR = 1.0;
+
+// Cover factor C of a fallow plot under the mulch of a terminated cover crop
+export const MULCH_C_FACTOR = 0.3;
+
+// Topsoil one acre-furrow slice holds (tons/acre, the top ~6 in)
+const TOPSOIL_TONS = 1000;
+
+// Share of yield potential lost per ton/acre of topsoil eroded, and the floor it can't drop below
+const YIELD_LOSS_PER_TON = 0.001;
+const MIN_EROSION_YIELD_FACTOR = 0.5;
+
+// Rainfall erosivity R of a rain event
+export function getRainfallErosivity(event) {
+    return (event.waterIncrease || 0) * (RAIN_EROSIVITY[event.severity] || 1);
+}
+
+// Soil erodibility K, lowered by organic matter binding the soil into stable aggregates
+export function getSoilErodibility(soilType, organicMatter) {
+    const base = (SOIL_TYPES[soilType] || SOIL_TYPES.loam).erodibility;
+    return base * Math.max(0.7, 1 - 0.1 * (organicMatter - SOIL_ORGANIC_MATTER.initial));
+}
+
+// Slope length-steepness factor LS (Wischmeier & Smith) for a slope in percent
+export function calculateSlopeFactor(slope, length = PLOT_SLOPE_LENGTH) {
+    const theta = Math.atan(slope / 100);
+    const exponent = slope >= 5 ? 0.5 : slope >= 3.5 ? 0.4 : slope >= 1 ? 0.3 : 0.2;
+    return Math.pow(length / 72.6, exponent) *
+        (65.41 * Math.sin(theta) ** 2 + 4.56 * Math.sin(theta) + 0.065);
+}
+
+// Support practice factor P for contour farming (USDA values by slope; no effect on steep ground)
+export function getContourFactor(slope) {
+    if (slope <= 2) return 0.6;
+    if (slope <= 8) return 0.5;
+    if (slope <= 12) return 0.6;
+    if (slope <= 16) return 0.7;
+    if (slope <= 20) return 0.8;
+    return 0.9;
+}
+
+// Soil loss A (tons/acre) = R * K * LS * C * P
+export function calculateSoilLoss({ erosivity, erodibility, slopeFactor, coverFactor, practiceFactor }) {
+    return erosivity * erodibility * slopeFactor * coverFactor * practiceFactor;
+}
+
+// Share of the topsoil a soil loss (tons/acre) carries away, with its organic matter and nutrients
+export function getTopsoilShare(soilLoss) {
+    return Math.min(1, soilLoss / TOPSOIL_TONS);
+}
+
+// Yield potential left after a total topsoil loss (tons/acre)
+export function calculateErosionYieldFactor(topsoilLost) {
+    return Math.max(MIN_EROSION_YIELD_FACTOR, 1 - topsoilLost * YIELD_LOSS_PER_TON);
+}
+
+//--- SALINITY ---
+
+export const SOIL_SALINITY = Object.freeze({
+    initial: 1.0,          // ECe (dS/m) of a well-managed valley soil
+    severe: 7.0,           // Rise above the initial level at which the soil scores as ruined
+    irrigationWater: 0.8,  // Default EC of the farm's irrigation water (dS/m, canal/well blend)
+    dilution: 2,           // Saturation extract vs. soil water at field capacity (ECe is about half the EC of the soil water)
+    leachingEfficiency: 0.7, // Share of the draining water that actually mixes with the soil solution
+    leachingFraction: 0.25, // Share of every irrigation that seeps on below the roots, keeping ECe near ECw / (dilution * leachingFraction)
+    heavyRainFlush: 0.15,  // Share of the salts a heavy rain flushes out at once
+    droughtRise: 0.01      // ECe added per drought day per severity level, as evaporation draws salts up
+});
+
+// Depth of water applied by a leaching irrigation (mm, about 6 inches)
+export const LEACHING_IRRIGATION_DEPTH = 150;
+
+// Rise in ECe from water of the given salinity (dS/m) soaking into the root zone (mm)
+export function getSalinityFromWater(amount, waterSalinity, fieldCapacity) {
+    return amount * waterSalinity / (fieldCapacity * SOIL_SALINITY.dilution);
+}
+
+// Share of the salts carried away by water draining through the root zone (mm); water that
+// seeps slowly through the whole soil (the leaching fraction) mixes fully, efficiency 1
+export function getSaltLeachingShare(drainage, fieldCapacity, efficiency = SOIL_SALINITY.leachingEfficiency) {
+    return 1 - Math.exp(-drainage * efficiency / fieldCapacity);
+}
+
+// Maas-Hoffman relative yield: full yield up to the crop's threshold ECe, then a
+// straight-line loss of `slope` % per dS/m above it
+export function calculateSalinityYieldFactor(salinity, tolerance) {
+    if (!tolerance || tolerance.slope === 0) return 1;
+    return Math.max(0, 1 - (tolerance.slope / 100) * Math.max(0, salinity - tolerance.threshold));
+}
+
+//--- FALLOW ---
+
+// How an empty plot is kept. `cFactor` and `kc` replace bare soil's USLE cover factor
+// and evaporation coefficient, `pestDecline` is pest pressure lost per day,
+// `structureRecovery` multiplies the daily structure rebuild and `residue` is the
+// dry matter (tons/acre/year) the vegetation returns to the soil.
+export const FALLOW_TYPES = Object.freeze({
+    bare: { id: 'bare', name: 'Bare Fallow', cFactor: BARE_SOIL_C_FACTOR, kc: BARE_SOIL_KC, pestDecline: 0.15, structureRecovery: 1.0, residue: 0 },
+    managed: { id: 'managed', name: 'Managed Fallow', cFactor: 0.35, kc: 0.35, pestDecline: 0.08, structureRecovery: 2.0, residue: 1.5 }
+});
+
+// Phosphorus and potassium weathered from soil minerals on a resting plot (lb/acre/day),
+// up to the native levels in INITIAL_NUTRIENTS
+export const FALLOW_NUTRIENT_RECOVERY = Object.freeze({ nitrogen: 0, phosphorus: 0.03, potassium: 0.15 });
+
+// One day of rest: pools weathered back toward their native levels
+export function recoverFallowNutrients(pools) {
+    const recovered = { ...pools };
+    NUTRIENTS.forEach(nutrient => {
+        if (recovered[nutrient] < INITIAL_NUTRIENTS[nutrient]) {
+            recovered[nutrient] = Math.min(INITIAL_NUTRIENTS[nutrient], recovered[nutrient] + FALLOW_NUTRIENT_RECOVERY[nutrient]);
+        }
+    });
+    return recovered;
+}
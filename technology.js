@@ -131,6 +131,14 @@ export function checkTechPrerequisites(tech, researchedTechs) {
     });
 }
 
+// Share of soil erosion prevented by researched technologies (0-1); reductions compound
+export function getErosionReduction(researchedTechs) {
+    const remaining = technologies
+        .filter(tech => researchedTechs.includes(tech.id) && tech.effects.erosionReduction)
+        .reduce((total, tech) => total * (1 - tech.effects.erosionReduction), 1);
+    return 1 - remaining;
+}
+
 // Get effect value for a particular effect from researched technologies
 export function getTechEffectValue(effectName, researchedTechs, defaultValue = 1.0) {
     let value = defaultValue;
@@ -0,0 +1,143 @@
+/**
+ * California Climate Farmer - Farm Terrain
+ *
+ * This file generates the land each new farm starts on. The farm lies where
+ * the foothills meet the valley floor: the top rows are steep and upslope,
+ * and the land flattens toward the bottom rows, where a creek winds across the
+ * farm from west to east through a low-lying flood zone.
+ *
+ * Soils follow the lay of the land, as on an alluvial fan: coarse sandy soils
+ * on the upper slopes drain fast and hold little water, loams lie in between,
+ * and fine silts and clays settle on the valley floor and along the creek.
+ * Starting fertility (organic matter and nutrients) varies from plot to plot,
+ * richest in the flood zone's alluvium and poorest on sand. In a downpour the
+ * creek overtops its banks and floods the flood zone.
+ *
+ * The terrain is drawn from a generator forked off the game seed, so a seed
+ * always gives the same farm and generating it leaves the daily rolls alone.
+ */
+
+import { SOIL_TYPES, PLOT_SLOPE_LENGTH } from './soils.js';
+
+// Salt for the generator forked off the game's random stream (see SeededRandom.fork)
+export const TERRAIN_SEED_SALT = 1;
+
+export const TERRAIN = Object.freeze({
+    maxSlope: 8,             // Slope (%) of the top row, falling evenly to minSlope in the bottom row
+    minSlope: 1,
+    slopeVariation: 0.35,    // Plots vary by up to this share around their row's slope
+    baseElevation: 250,      // Elevation (ft) at the bottom edge of the farm
+    creekRows: 3,            // The creek winds through this many rows at the bottom of the farm
+    creekDepth: 4,           // Flood zone plots lie this far (ft) below the land around them
+    floodZoneSlope: 0.5,     // Slope (%) of the nearly flat flood zone
+    fertilityVariation: 0.2, // Random spread (±) of starting fertility around 1
+    floodZoneFertility: 0.2, // Extra fertility of the flood zone's alluvium
+    textureFertility: { sand: -0.15, loam: 0, clay: 0.1 } // Sand holds few nutrients, clay many
+});
+
+// Soil types from coarsest to finest (see SOIL_TYPES)
+const SOIL_SEQUENCE = ['sand', 'sandy_loam', 'loam', 'silt_loam', 'clay_loam', 'clay'];
+
+// The flood zone's alluvium is at least this fine
+const FLOOD_ZONE_SOIL = 'silt_loam';
+
+// What the creek does to a flood zone plot when it overtops its banks: points of expected
+// yield a crop standing in the water loses, and the nutrients (lb/acre) the silt brings
+export const CREEK_FLOOD = Object.freeze({
+    yieldDamage: 15,
+    silt: { nitrogen: 5, phosphorus: 4, potassium: 15 }
+});
+
+// Random field (0-1) over the farm that changes gradually from plot to plot: random values
+// averaged with their neighbors a few times, then stretched back to the full range
+function smoothNoise(size, rng, passes = 2) {
+    let field = Array.from({ length: size }, () => Array.from({ length: size }, () => rng.random()));
+
+    for (let pass = 0; pass < passes; pass++) {
+        field = field.map((cells, row) => cells.map((_, col) => {
+            let total = 0;
+            let count = 0;
+            for (let r = Math.max(0, row - 1); r <= Math.min(size - 1, row + 1); r++) {
+                for (let c = Math.max(0, col - 1); c <= Math.min(size - 1, col + 1); c++) {
+                    total += field[r][c];
+                    count++;
+                }
+            }
+            return total / count;
+        }));
+    }
+
+    const values = field.flat();
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return field.map(cells => cells.map(value => (max > min ? (value - min) / (max - min) : 0.5)));
+}
+
+// The creek's row in each column, west to east: it wanders at most one row from one column
+// to the next and stays within the bottom rows
+function traceCreek(size, rng) {
+    const top = size - TERRAIN.creekRows;
+    let row = rng.int(top, size - 1);
+    return Array.from({ length: size }, () => {
+        row = Math.max(top, Math.min(size - 1, row + rng.int(-1, 1)));
+        return row;
+    });
+}
+
+// Elevation (ft) of every plot from a grid of slopes (%): each plot sits above the one below it
+// by its slope over one plot's length, and the bottom row above the farm's base elevation
+export function calculateElevations(slopes, baseElevation = TERRAIN.baseElevation) {
+    const elevations = slopes.map(row => row.map(() => 0));
+    for (let row = slopes.length - 1; row >= 0; row--) {
+        for (let col = 0; col < slopes[row].length; col++) {
+            const below = row < slopes.length - 1 ? elevations[row + 1][col] : baseElevation;
+            elevations[row][col] = Math.round((below + slopes[row][col] * PLOT_SLOPE_LENGTH / 100) * 10) / 10;
+        }
+    }
+    return elevations;
+}
+
+// Generate the land of a new farm (a size x size grid of plots), each plot with its
+// soilType, slope (%), elevation (ft), floodZone flag and fertility (multiple of the
+// starting organic matter and nutrients of a typical valley loam)
+export function generateTerrain(size, rng) {
+    const slopeNoise = smoothNoise(size, rng);
+    const textureNoise = smoothNoise(size, rng);
+    const fertilityNoise = smoothNoise(size, rng);
+    const creek = traceCreek(size, rng);
+
+    const plots = Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, col) => {
+        const floodZone = creek[col] === row;
+        const downslope = size > 1 ? row / (size - 1) : 1; // 0 at the top edge, 1 at the bottom
+
+        // Steep foothills at the top, flattening toward the valley floor
+        const rowSlope = TERRAIN.maxSlope - (TERRAIN.maxSlope - TERRAIN.minSlope) * downslope;
+        const slope = floodZone
+            ? TERRAIN.floodZoneSlope
+            : Math.round(rowSlope * (1 + TERRAIN.slopeVariation * (2 * slopeNoise[row][col] - 1)) * 10) / 10;
+
+        // Soils get finer downslope, and the flood zone holds fine alluvium
+        const fineness = (textureNoise[row][col] + downslope) / 2;
+        let soilIndex = Math.min(SOIL_SEQUENCE.length - 1, Math.floor(fineness * SOIL_SEQUENCE.length));
+        if (floodZone) {
+            soilIndex = Math.max(soilIndex, SOIL_SEQUENCE.indexOf(FLOOD_ZONE_SOIL));
+        }
+        const soilType = SOIL_SEQUENCE[soilIndex];
+
+        const fertility = 1 +
+            TERRAIN.fertilityVariation * (2 * fertilityNoise[row][col] - 1) +
+            TERRAIN.textureFertility[SOIL_TYPES[soilType].texture] +
+            (floodZone ? TERRAIN.floodZoneFertility : 0);
+
+        return { soilType, slope, floodZone, fertility: Math.round(fertility * 100) / 100 };
+    }));
+
+    // The creek has cut its bed below the land around it
+    const elevations = calculateElevations(plots.map(row => row.map(plot => plot.slope)));
+    plots.forEach((row, r) => row.forEach((plot, c) => {
+        plot.elevation = plot.floodZone
+            ? Math.round((elevations[r][c] - TERRAIN.creekDepth) * 10) / 10
+            : elevations[r][c];
+    }));
+    return plots;
+}
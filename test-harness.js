@@ -6,6 +6,7 @@
  */
 import { CaliforniaClimateFarmer } from '../game.js';
 import { setupTestStrategy } from './strategies.js';
+import { generateSeed } from '../random.js';
 
 console.log('TestHarness module loading...');
 
@@ -23,6 +24,16 @@ export class TestHarness {
         this.activeGame = null;
         this.selectedTests = [];
         this.currentTestIndex = -1;
+
+        // Seeds to replay specific runs (testId -> seed), and the record of every run started
+        this.seeds = {};
+        this.runHistory = [];
+    }
+
+    // Fix the seed for a test so its run can be replayed exactly
+    setSeed(testId, seed) {
+        this.seeds[testId] = seed >>> 0;
+        console.log(`Test '${testId}' will use seed ${this.seeds[testId]}`);
     }
     
     // Select all tests for running
@@ -62,6 +73,12 @@ export class TestHarness {
         if (test) {
             console.log(`Starting test: ${test.name}`);
             test.running = true;
+
+            // Use a fixed seed if one was set, otherwise a fresh one - either way record it
+            const seed = this.seeds[testId] ?? generateSeed();
+            test.seed = seed;
+            this.runHistory.push({ testId, seed, startedAt: new Date().toISOString() });
+            console.log(`Test '${testId}' running with seed ${seed}`);
             
             // Clean up previous game instance if exists
             if (this.activeGame) {
@@ -72,6 +89,7 @@ export class TestHarness {
                 // Create new game with test settings
                 console.log('Creating game instance with test settings');
                 this.activeGame = new CaliforniaClimateFarmer({
+                    seed,
                     testMode: true,
                     testStrategy: testId,
                     debugMode: true,
@@ -0,0 +1,79 @@
+/**
+ * California Climate Farmer - Save/Load Tests
+ *
+ * Checks that a save slot which cannot be loaded leaves the running game as it was.
+ * Runs headless under Node's built-in test runner: node --test test/persistence.test.js
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { FarmSimulation } from '../simulation.js';
+import * as Persistence from '../persistence.js';
+
+// In-memory stand-in for the browser's localStorage
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        key: index => [...items.keys()][index] ?? null,
+        get length() { return items.size; }
+    };
+}
+
+// Everything in a save except the event log (a failed load adds a message to it)
+function snapshot(game) {
+    const { savedAt, events, ...state } = Persistence.serializeGame(game);
+    return state;
+}
+
+function createGame() {
+    const game = new FarmSimulation({ seed: 12345 });
+    game.logger.setVerbosity(-1);
+    game.plantCrop(0, 0, 'corn');
+    game.step(30);
+    return game;
+}
+
+beforeEach(() => {
+    globalThis.localStorage = createMemoryStorage();
+});
+
+test('an incomplete save is rejected without changing the game', () => {
+    const game = createGame();
+    const before = snapshot(game);
+    localStorage.setItem('californiaClimateFarmer.save.broken', JSON.stringify({ schemaVersion: Persistence.SAVE_SCHEMA_VERSION, day: 5 }));
+
+    assert.equal(game.loadGame('broken'), false);
+    assert.match(game.events[0].message, /Could not load game/);
+    assert.deepEqual(snapshot(game), before);
+});
+
+test('a slot that is not valid JSON is rejected without changing the game', () => {
+    const game = createGame();
+    const before = snapshot(game);
+    localStorage.setItem('californiaClimateFarmer.save.broken', '{"day": 5, "year"');
+
+    assert.equal(game.loadGame('broken'), false);
+    assert.deepEqual(snapshot(game), before);
+});
+
+test('a save with a malformed grid is rejected without changing the game', () => {
+    const game = createGame();
+    const before = snapshot(game);
+    const data = Persistence.serializeGame(game);
+    localStorage.setItem('californiaClimateFarmer.save.broken', JSON.stringify({ ...data, day: 5, grid: [[]] }));
+
+    assert.equal(game.loadGame('broken'), false);
+    assert.deepEqual(snapshot(game), before);
+});
+
+test('a complete save still loads', () => {
+    const game = createGame();
+    assert.equal(game.saveGame('good'), true);
+    const saved = snapshot(game);
+
+    game.step(10);
+    assert.equal(game.loadGame('good'), true);
+    assert.deepEqual(snapshot(game), saved);
+});
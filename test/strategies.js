@@ -7,7 +7,8 @@
 
 // Make sure to import crops properly based on your file structure
 // The original import might be incorrect (it assumes crops.js is in a parent directory)
-import { crops } from '../crops.js';
+import { crops, getCashCrops } from '../crops.js';
+import { getFertilizerById, GROUNDWATER_NITRATE } from '../soils.js';
 
 // Add this to help with debugging
 console.log('Test strategies module loaded, crops:', crops);
@@ -31,47 +32,56 @@ export function setupTestStrategy(game, strategyId) {
         techResearched: []
     };
 
-    // Modify the game's update method to include strategy-specific behavior
-    const originalUpdate = game.update.bind(game);
-    
-    game.update = function() {
-        // Call the original update first
-        originalUpdate();
-        
-        // Then apply strategy-specific update logic
-        if (this.testMode) {
-            switch(strategyId) {
-                case 'monoculture':
-                    updateMonocultureTest(this);
-                    break;
-                case 'diverse':
-                    updateDiverseCropsTest(this);
-                    break;
-                case 'tech-focus':
-                    updateTechFocusTest(this);
-                    break;
-                case 'water-saving':
-                    updateWaterSavingTest(this);
-                    break;
-                case 'no-action':
-                    // No action needed
-                    break;
-            }
-            
-            // Log metrics once per year
-            if (this.day % 360 === 0) {
-                logYearEndMetrics(this);
-            }
-            
-            // Track balance metrics
-            if (this.balance > this.testMetrics.highestBalance) {
-                this.testMetrics.highestBalance = this.balance;
-            }
-            if (this.balance < this.testMetrics.lowestBalance) {
-                this.testMetrics.lowestBalance = this.balance;
-            }
+    // Run the strategy after every simulated day
+    game.on('dayAdvanced', () => {
+        if (!game.testMode) return;
+
+        switch(strategyId) {
+            case 'monoculture':
+                updateMonocultureTest(game);
+                break;
+            case 'diverse':
+                updateDiverseCropsTest(game);
+                break;
+            case 'tech-focus':
+                updateTechFocusTest(game);
+                break;
+            case 'water-saving':
+                updateWaterSavingTest(game);
+                break;
+            case 'no-action':
+                checkNoActionTest(game);
+                break;
         }
-    };
+    });
+
+    // Track balance metrics on every change
+    game.on('balanceChanged', ({ balance }) => {
+        if (balance > game.testMetrics.highestBalance) {
+            game.testMetrics.highestBalance = balance;
+        }
+        if (balance < game.testMetrics.lowestBalance) {
+            game.testMetrics.lowestBalance = balance;
+        }
+    });
+
+    // Track harvests and climate events
+    game.on('cellHarvested', ({ value }) => {
+        game.testMetrics.harvestCount++;
+        game.testMetrics.totalHarvestValue += value;
+    });
+    // Multi-day events (droughts, heatwaves) are applied once per day; count each on its first day
+    game.on('eventApplied', ({ event, dayIndex }) => {
+        if (event.type in game.testMetrics.climateEvents && !dayIndex) {
+            game.testMetrics.climateEvents[event.type]++;
+        }
+    });
+    game.on('techResearched', ({ techId }) => {
+        game.testMetrics.techResearched.push(techId);
+    });
+
+    // Log metrics once per year
+    game.on('yearEnded', () => logYearEndMetrics(game));
     
     // Initial setup based on strategy
     switch (strategyId) {
@@ -94,6 +104,16 @@ export function setupTestStrategy(game, strategyId) {
     }
 }
 
+// Check the untouched farm: nitrogen from the soil alone (nothing planted, no fertilizer)
+// must keep groundwater well under the regulatory limit
+function checkNoActionTest(game) {
+    const threshold = GROUNDWATER_NITRATE.limit * 0.8;
+    if (game.groundwaterNitrate >= threshold && !game.testMetrics.groundwaterFailed) {
+        game.testMetrics.groundwaterFailed = true;
+        game.logger.log(`FAILED: groundwater nitrate reached ${game.groundwaterNitrate.toFixed(1)} mg/L on a farm that was never planted or fertilized (must stay under ${threshold} mg/L)`, 0);
+    }
+}
+
 // Set up monoculture test
 function setupMonocultureTest(game) {
     // Plant the same crop in all cells
@@ -146,8 +166,8 @@ function updateMonocultureTest(game) {
                 }
             }
 
-            // Fertilize if not already fertilized
-            if (cell.crop.id !== 'empty' && !cell.fertilized) {
+            // Fertilize when the soil can't carry the crop through the season
+            if (cell.needsFertilizer) {
                 if (fertilizeCellForTest(game, row, col)) {
                     fertilized++;
                 }
@@ -172,7 +192,7 @@ function setupDiverseCropsTest(game) {
     game.logger.log(`Diverse crops test - planting different crops`);
 
     // Get crop IDs excluding 'empty'
-    const cropIds = crops.filter(c => c.id !== 'empty').map(c => c.id);
+    const cropIds = getCashCrops().map(c => c.id);
 
     // Plant different crops in a pattern
     let cropCounts = {};
@@ -218,7 +238,7 @@ function updateDiverseCropsTest(game) {
 
             // Replant if empty with a diverse selection
             if (cell.crop.id === 'empty') {
-                const cropIds = crops.filter(c => c.id !== 'empty').map(c => c.id);
+                const cropIds = getCashCrops().map(c => c.id);
                 const cropIndex = (row + col + game.day) % cropIds.length;
                 const cropId = cropIds[cropIndex];
 
@@ -234,8 +254,8 @@ function updateDiverseCropsTest(game) {
                 }
             }
 
-            // Fertilize if not already fertilized
-            if (cell.crop.id !== 'empty' && !cell.fertilized) {
+            // Fertilize when the soil can't carry the crop through the season
+            if (cell.needsFertilizer) {
                 if (fertilizeCellForTest(game, row, col)) {
                     fertilized++;
                 }
@@ -304,7 +324,7 @@ function updateTechFocusTest(game) {
                     irrigateCellForTest(game, row, col);
                 }
 
-                if (!cell.fertilized && game.balance > 5000) {
+                if (cell.needsFertilizer && game.balance > 5000) {
                     fertilizeCellForTest(game, row, col);
                 }
             }
@@ -387,7 +407,7 @@ function updateWaterSavingTest(game) {
             }
 
             // Selective fertilizing
-            if (cell.crop.id !== 'empty' && !cell.fertilized &&
+            if (cell.needsFertilizer &&
                 cell.growthProgress > 30 && game.balance > 10000) {
                 fertilizeCellForTest(game, row, col);
             }
@@ -497,12 +517,20 @@ function irrigateCellForTest(game, row, col) {
     return true;
 }
 
-// Helper function to fertilize a cell for test
+// Helper function to fertilize a cell for test, picking the product that covers its shortfall
 function fertilizeCellForTest(game, row, col) {
     const cell = game.grid[row][col];
-    const fertilizeCost = 300;
+    const shortfall = cell.nutrientShortfall;
+    let fertilizerId = 'balanced';
+    if (shortfall.phosphorus === 0 && shortfall.potassium === 0) {
+        fertilizerId = 'nitrogen';
+    } else if (shortfall.nitrogen === 0) {
+        fertilizerId = 'phosphate_potash';
+    }
+    const fertilizer = getFertilizerById(fertilizerId);
+    const fertilizeCost = Math.round(300 * fertilizer.costFactor);
 
-    if (cell.crop.id === 'empty' || cell.fertilized || game.balance < fertilizeCost) {
+    if (cell.crop.id === 'empty' || game.balance < fertilizeCost) {
         return false;
     }
 
@@ -511,7 +539,7 @@ function fertilizeCellForTest(game, row, col) {
 
     // Apply fertilizer
     const fertilizerEfficiency = game.getTechEffectValue('fertilizerEfficiency');
-    cell.fertilize(fertilizerEfficiency);
+    cell.fertilize(fertilizer, 1.0, fertilizerEfficiency);
 
     return true;
 }
@@ -4,7 +4,21 @@
  * This file handles UI rendering, updates, and event handling for the game interface.
  */
 
-import { crops, getCropById } from './crops.js';
+import { crops, getCropById, GROWTH_STAGES, isCoverCrop, isPerennial, isCashCrop, hasMultiplePickings, getCashCrops, getQualityGrade } from './crops.js';
+import { GAME_EVENTS } from './emitter.js';
+import { FERTILIZERS, FERTILIZER_RATES, SOIL_TYPES, FALLOW_TYPES } from './soils.js';
+import { getPestById, PEST_CONTROLS, getControlEfficacy } from './pests.js';
+import { LANDSCAPE_FEATURES, getFeatureById, getNeighborEffects } from './landscape.js';
+
+// Soil nutrient overlays: pool levels (lb/acre) at which a plot counts as low / adequate
+const NUTRIENT_OVERLAYS = {
+    nitrogen: { name: 'Nitrogen', low: 40, adequate: 80 },
+    phosphorus: { name: 'Phosphorus', low: 10, adequate: 20 },
+    potassium: { name: 'Potassium', low: 60, adequate: 120 }
+};
+
+// Terrain overlay: colors of the soil texture classes (see SOIL_TYPES) and of the creek's flood zone
+const TERRAIN_COLORS = { sand: '#e3cf9a', loam: '#b08a5a', clay: '#8a5a44', floodZone: '#7fb3d5' };
 
 // UI Manager class
 export class UIManager {
@@ -18,6 +32,88 @@ export class UIManager {
         // Set up canvas and event listeners
         this.setupCanvasSize();
         this.setupEventListeners();
+        this.subscribeToGame();
+    }
+
+    // Keep the UI in sync by listening to the game's event bus
+    subscribeToGame() {
+        const game = this.game;
+
+        game.on(GAME_EVENTS.dayAdvanced, () => {
+            this.updateHUD();
+            this.render();
+        });
+        game.on(GAME_EVENTS.balanceChanged, () => this.updateHUD());
+        game.on(GAME_EVENTS.messageLogged, () => this.updateEventsList());
+        game.on(GAME_EVENTS.pauseChanged, () => this.updatePauseButton());
+        game.on(GAME_EVENTS.stateLoaded, () => this.refresh());
+        game.on(GAME_EVENTS.modifierAdded, () => this.updateHUD());
+        game.on(GAME_EVENTS.modifierExpired, () => this.updateHUD());
+
+        // Any player action on a plot: redraw, and refresh the info panel if it's the selected plot
+        [
+            GAME_EVENTS.cellPlanted,
+            GAME_EVENTS.cellIrrigated,
+            GAME_EVENTS.cellFertilized,
+            GAME_EVENTS.cellComposted,
+            GAME_EVENTS.cellContoured,
+            GAME_EVENTS.cellLeached,
+            GAME_EVENTS.coverCropTerminated,
+            GAME_EVENTS.cellFallowChanged,
+            GAME_EVENTS.cellFallowEnrolled,
+            GAME_EVENTS.perennialRemoved,
+            GAME_EVENTS.cellHarvested,
+            GAME_EVENTS.cropSpoiled,
+            GAME_EVENTS.pickingSeasonEnded,
+            GAME_EVENTS.pestOutbreak,
+            GAME_EVENTS.pestSpread,
+            GAME_EVENTS.hedgerowInstalled
+        ].forEach(type => {
+            game.on(type, ({ row, col }) => this.onCellChanged(row, col));
+        });
+
+        // Landscape features change the plots around them as well
+        [GAME_EVENTS.featurePlaced, GAME_EVENTS.featureRemoved].forEach(type => {
+            game.on(type, () => {
+                if (this.selectedCell) {
+                    this.showCellInfo(this.selectedCell.row, this.selectedCell.col);
+                }
+                this.render();
+            });
+        });
+
+        // A zone treatment changes several plots (and the efficacy shown for the next spray)
+        game.on(GAME_EVENTS.pestControlApplied, () => {
+            if (this.selectedCell) {
+                this.showCellInfo(this.selectedCell.row, this.selectedCell.col);
+            }
+            this.render();
+        });
+
+        // Fallowing offers open and close the enroll button; a payout frees the enrolled plots
+        [GAME_EVENTS.fallowingOffered, GAME_EVENTS.fallowingPaid].forEach(type => {
+            game.on(type, () => {
+                if (this.selectedCell) {
+                    this.showCellInfo(this.selectedCell.row, this.selectedCell.col);
+                }
+            });
+        });
+
+        game.on(GAME_EVENTS.techResearched, () => {
+            this.updateHUD();
+            if (document.getElementById('research-modal').style.display === 'flex') {
+                this.showResearchModal();
+            }
+            this.render();
+        });
+    }
+
+    // Redraw after a plot changes
+    onCellChanged(row, col) {
+        if (this.selectedCell && this.selectedCell.row === row && this.selectedCell.col === col) {
+            this.showCellInfo(row, col);
+        }
+        this.render();
     }
     
     // Set up canvas size and make it responsive
@@ -88,6 +184,26 @@ export class UIManager {
             this.game.togglePause();
         });
 
+        // Save/Load button
+        document.getElementById('save-btn').addEventListener('click', () => {
+            this.showSaveModal();
+        });
+
+        // Save to the named slot
+        document.getElementById('save-confirm-btn').addEventListener('click', () => {
+            const slotInput = document.getElementById('save-slot-name');
+            const slotName = slotInput.value.trim();
+            if (!slotName) {
+                slotInput.focus();
+                return;
+            }
+            if (this.game.saveGame(slotName)) {
+                this.game.addEvent(`Game saved as "${slotName}".`);
+                slotInput.value = '';
+                this.showSaveModal();
+            }
+        });
+
         // Help button
         document.getElementById('help-btn').addEventListener('click', () => {
             document.getElementById('help-modal').style.display = 'flex';
@@ -152,7 +268,97 @@ export class UIManager {
         // Fertilize button
         document.getElementById('fertilize-btn').addEventListener('click', () => {
             if (this.selectedCell) {
-                this.game.fertilizeCell(this.selectedCell.row, this.selectedCell.col);
+                const fertilizerId = document.getElementById('fertilizer-select').value;
+                const rate = FERTILIZER_RATES[document.getElementById('fertilizer-rate').value];
+                this.game.fertilizeCell(this.selectedCell.row, this.selectedCell.col, fertilizerId, rate);
+            }
+        });
+
+        // Pest control buttons: the selected control on the plot, or on the plot and its neighbors
+        document.getElementById('treat-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                const controlId = document.getElementById('pest-control-select').value;
+                this.game.treatCell(this.selectedCell.row, this.selectedCell.col, controlId);
+            }
+        });
+        document.getElementById('treat-zone-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                const controlId = document.getElementById('pest-control-select').value;
+                this.game.treatZone(this.selectedCell.row, this.selectedCell.col, controlId);
+            }
+        });
+        document.getElementById('hedgerow-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.installHedgerow(this.selectedCell.row, this.selectedCell.col);
+            }
+        });
+
+        // Farm layout buttons: give the plot over to the selected feature, or clear it
+        document.getElementById('place-feature-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                const featureId = document.getElementById('feature-select').value;
+                this.game.placeFeature(this.selectedCell.row, this.selectedCell.col, featureId);
+            }
+        });
+        document.getElementById('remove-feature-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.removeFeature(this.selectedCell.row, this.selectedCell.col);
+            }
+        });
+
+        // Compost button
+        document.getElementById('compost-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.compostCell(this.selectedCell.row, this.selectedCell.col);
+            }
+        });
+
+        // Contour farming button
+        document.getElementById('contour-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.contourCell(this.selectedCell.row, this.selectedCell.col);
+            }
+        });
+
+        // Leaching irrigation button
+        document.getElementById('leach-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.leachCell(this.selectedCell.row, this.selectedCell.col);
+            }
+        });
+
+        // Cover crop buttons: terminate to a surface mulch, or plow it in
+        document.getElementById('terminate-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.terminateCoverCrop(this.selectedCell.row, this.selectedCell.col);
+            }
+        });
+        document.getElementById('incorporate-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.terminateCoverCrop(this.selectedCell.row, this.selectedCell.col, { incorporate: true });
+            }
+        });
+
+        // Fallow button: switch an empty plot between bare and managed fallow
+        document.getElementById('fallow-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                const cell = this.game.grid[this.selectedCell.row][this.selectedCell.col];
+                const fallowType = cell.fallowType === 'bare' ? 'managed' : 'bare';
+                this.game.setFallowType(this.selectedCell.row, this.selectedCell.col, fallowType);
+            }
+        });
+
+        // Enroll the plot in the water district's fallowing agreement
+        document.getElementById('enroll-fallow-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.enrollFallowing(this.selectedCell.row, this.selectedCell.col);
+            }
+        });
+
+        // Pull out an orchard or vineyard
+        document.getElementById('remove-btn').addEventListener('click', () => {
+            if (this.selectedCell) {
+                this.game.removePerennial(this.selectedCell.row, this.selectedCell.col);
             }
         });
 
@@ -186,16 +392,95 @@ export class UIManager {
             </div>
             <div class="stat">
                 <span>Water Level:</span>
-                <span class="stat-value">${cell.waterLevel}%</span>
+                <span class="stat-value">${Math.round(cell.waterLevel)}%</span>
+            </div>
+            <div class="stat">
+                <span>Soil Water:</span>
+                <span class="stat-value">${Math.round(cell.soilMoisture)} / ${Math.round(cell.fieldCapacity)} mm</span>
+            </div>
+            <div class="stat">
+                <span>Water Lost Today:</span>
+                <span class="stat-value">ET ${cell.waterLosses.et.toFixed(1)} | Drain ${cell.waterLosses.drainage.toFixed(1)} | Runoff ${cell.waterLosses.runoff.toFixed(1)} mm</span>
             </div>
             <div class="stat">
                 <span>Soil Health:</span>
-                <span class="stat-value">${cell.soilHealth}%</span>
+                <span class="stat-value">${Math.round(cell.soilHealth)}%</span>
+            </div>
+            <div class="stat">
+                <span>Organic Matter:</span>
+                <span class="stat-value">${cell.organicMatter.toFixed(2)}%</span>
+            </div>
+            <div class="stat">
+                <span>Soil Structure:</span>
+                <span class="stat-value">${Math.round(cell.soilStructure)}%</span>
+            </div>
+            <div class="stat">
+                <span>Land:</span>
+                <span class="stat-value">${SOIL_TYPES[cell.soilType].name}, ${cell.slope}% slope, ${Math.round(cell.elevation)} ft${cell.floodZone ? ', creek flood zone' : ''}${cell.contourFarming ? ', contoured' : ''}</span>
+            </div>
+            <div class="stat">
+                <span>Topsoil Lost:</span>
+                <span class="stat-value">${cell.topsoilLost.toFixed(1)} t/ac (yield potential ${Math.round(cell.erosionYieldFactor * 100)}%)</span>
+            </div>
+            <div class="stat">
+                <span>Salinity:</span>
+                <span class="stat-value">${cell.salinity.toFixed(1)} dS/m${cell.crop.id !== 'empty' ? ` (${cell.crop.name} tolerates ${cell.crop.saltTolerance.threshold})` : ''}</span>
+            </div>
+            <div class="stat">
+                <span>Nutrients (N-P-K):</span>
+                <span class="stat-value">${Math.round(cell.nutrients.nitrogen)} - ${Math.round(cell.nutrients.phosphorus)} - ${Math.round(cell.nutrients.potassium)} lb/ac</span>
+            </div>
+            <div class="stat">
+                <span>Nitrate Leached Today:</span>
+                <span class="stat-value">${cell.nitrateLeached.toFixed(1)} lb/ac</span>
+            </div>
+            <div class="stat">
+                <span>Pest Pressure:</span>
+                <span class="stat-value">${Math.round(cell.pestPressure)}${cell.pestId ? ` (${getPestById(cell.pestId).name})` : ''}</span>
             </div>
         `;
 
+        if (cell.hedgerow || cell.beneficialDays > 0) {
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Natural Enemies:</span>
+                    <span class="stat-value">${[
+                        cell.hedgerow ? 'hedgerow' : null,
+                        cell.beneficialDays > 0 ? `beneficials for ${cell.beneficialDays} more days` : null
+                    ].filter(Boolean).join(', ')}</span>
+                </div>
+            `;
+        }
+
+        if (cell.feature) {
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Landscape Feature:</span>
+                    <span class="stat-value">${getFeatureById(cell.feature).name}</span>
+                </div>
+            `;
+        }
+
+        const neighbor = getNeighborEffects(this.game.grid, row, col);
+        if (neighbor.etFactor < 1 || neighbor.heatProtection > 0 || neighbor.pollination > 0) {
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Neighbor Effects:</span>
+                    <span class="stat-value">${[
+                        neighbor.etFactor < 1 ? `water use -${Math.round((1 - neighbor.etFactor) * 100)}%` : null,
+                        neighbor.heatProtection > 0 ? `heat damage -${Math.round(neighbor.heatProtection * 100)}%` : null,
+                        neighbor.pollination > 0 ? `pollination +${Math.round(neighbor.pollination * 100)}% yield` : null
+                    ].filter(Boolean).join(', ')}</span>
+                </div>
+            `;
+        }
+
         if (cell.crop.id !== 'empty') {
             cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Growth Stage:</span>
+                    <span class="stat-value">${cell.stage.name}</span>
+                </div>
                 <div class="stat">
                     <span>Growth Progress:</span>
                     <span class="stat-value">${Math.floor(cell.growthProgress)}%</span>
@@ -203,6 +488,89 @@ export class UIManager {
                 <div class="progress-bar">
                     <div class="progress-fill" style="width: ${cell.growthProgress}%"></div>
                 </div>
+                <div class="stat">
+                    <span>Water Yield Factor:</span>
+                    <span class="stat-value">${Math.round(cell.waterYieldFactor * 100)}%</span>
+                </div>
+                <div class="stat">
+                    <span>Nutrient Supply:</span>
+                    <span class="stat-value">${Math.round(cell.nutrientSufficiency * 100)}%${cell.needsFertilizer ? ' (needs fertilizer)' : ''}</span>
+                </div>
+                <div class="stat">
+                    <span>Heat Units:</span>
+                    <span class="stat-value">${Math.round(cell.accumulatedGDD)} / ${cell.crop.gddToMaturity} GDD</span>
+                </div>
+            `;
+        }
+
+        if (hasMultiplePickings(cell.crop)) {
+            const { max, endSeason } = cell.crop.pickings;
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Pickings:</span>
+                    <span class="stat-value">${cell.pickingsTaken} of ${max} taken (this flush ${Math.round(cell.pickingYieldFactor * 100)}% of the first), ends in ${endSeason}</span>
+                </div>
+            `;
+        }
+
+        if (cell.harvestReady && isCashCrop(cell.crop)) {
+            const daysLeft = cell.crop.harvestWindow - cell.daysHarvestReady;
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Harvest Quality:</span>
+                    <span class="stat-value">${getQualityGrade(cell.harvestQuality).name} (${Math.round(cell.harvestQuality * 100)}%)${
+                        cell.harvestOverdue ? ' - overdue, losing value daily' : `, ${daysLeft} days left in the harvest window`}</span>
+                </div>
+            `;
+        }
+
+        if (cell.crop.id === 'empty') {
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Fallow:</span>
+                    <span class="stat-value">${cell.fallow.name}, resting ${cell.fallowDays} days</span>
+                </div>
+            `;
+            if (cell.fallowAgreement) {
+                cellDetails.innerHTML += `
+                    <div class="stat">
+                        <span>Fallowing Agreement:</span>
+                        <span class="stat-value">Enrolled until day ${this.game.fallowingAgreement.endDay} ($${this.game.fallowingAgreement.paymentPerPlot})</span>
+                    </div>
+                `;
+            }
+        }
+
+        if (isPerennial(cell.crop)) {
+            const { bearingAge, declineAge, lifespan } = cell.crop.lifecycle;
+            const phase = cell.perennialYears < bearingAge ? 'establishing'
+                : cell.perennialYears > lifespan ? 'past its productive life'
+                : cell.perennialYears > declineAge ? 'declining' : 'bearing';
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Planting Age:</span>
+                    <span class="stat-value">${cell.perennialYears} years, ${phase} (yield potential ${Math.round(cell.perennialYieldFactor * 100)}%)</span>
+                </div>
+                <div class="stat">
+                    <span>Winter Chill:</span>
+                    <span class="stat-value">${Math.round(this.game.chillHours)} of ${cell.crop.lifecycle.chillRequirement} hours this winter (last spring's bud break ${Math.round(cell.chillYieldFactor * 100)}%)</span>
+                </div>
+            `;
+        }
+
+        if (isCoverCrop(cell.crop)) {
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Nitrogen in Cover Crop:</span>
+                    <span class="stat-value">${Math.round(cell.cropNutrients.nitrogen)} lb/ac</span>
+                </div>
+            `;
+        } else if (cell.surfaceMulch) {
+            cellDetails.innerHTML += `
+                <div class="stat">
+                    <span>Surface Mulch:</span>
+                    <span class="stat-value">Cover crop residue</span>
+                </div>
             `;
         }
 
@@ -210,11 +578,11 @@ export class UIManager {
         cropOptions.innerHTML = '';
         crops.forEach(crop => {
             if (crop.id !== 'empty') {
-                const costToPlant = crop.basePrice * 0.4;
+                const costToPlant = this.game.getPlantingCost(crop);
                 cropOptions.innerHTML += `
                     <div class="crop-option">
                         <input type="radio" id="crop-${crop.id}" name="crop-select" value="${crop.id}">
-                        <label for="crop-${crop.id}">${crop.name} ($${costToPlant})</label>
+                        <label for="crop-${crop.id}">${crop.name}${isCoverCrop(crop) ? ' (cover crop)' : ''}${isPerennial(crop) ? ` (perennial, bears from year ${crop.lifecycle.bearingAge})` : ''} ($${costToPlant})</label>
                     </div>
                 `;
             }
@@ -233,10 +601,65 @@ export class UIManager {
             }
         });
 
+        // Fertilizer products with today's price for a standard application, keeping the current choice
+        const fertilizerSelect = document.getElementById('fertilizer-select');
+        const selectedFertilizer = fertilizerSelect.value || FERTILIZERS[0].id;
+        fertilizerSelect.innerHTML = FERTILIZERS.map(fertilizer => `
+            <option value="${fertilizer.id}" ${fertilizer.id === selectedFertilizer ? 'selected' : ''}>${fertilizer.name} ($${this.game.getFertilizerCost(fertilizer)})</option>
+        `).join('');
+
+        const rateSelect = document.getElementById('fertilizer-rate');
+        const selectedRate = rateSelect.value || 'standard';
+        rateSelect.innerHTML = Object.keys(FERTILIZER_RATES).map(rate => `
+            <option value="${rate}" ${rate === selectedRate ? 'selected' : ''}>${rate.charAt(0).toUpperCase() + rate.slice(1)} (x${FERTILIZER_RATES[rate]})</option>
+        `).join('');
+
+        // Pest controls with today's price per plot and efficacy after resistance, keeping the current choice
+        const controlSelect = document.getElementById('pest-control-select');
+        const selectedControl = controlSelect.value || Object.keys(PEST_CONTROLS)[0];
+        controlSelect.innerHTML = Object.values(PEST_CONTROLS).map(control => `
+            <option value="${control.id}" ${control.id === selectedControl ? 'selected' : ''}>${control.name} ($${this.game.getPestControlCost(control)}/plot, ${Math.round(getControlEfficacy(control, this.game.pesticideResistance) * 100)}%)</option>
+        `).join('');
+
         // Update buttons based on cell state
         document.getElementById('irrigate-btn').disabled = false;
-        document.getElementById('fertilize-btn').disabled = cell.fertilized;
-        document.getElementById('harvest-btn').disabled = !cell.harvestReady;
+        document.getElementById('fertilize-btn').disabled = false;
+        document.getElementById('compost-btn').textContent = `Add Compost ($${this.game.getCompostCost()})`;
+        document.getElementById('contour-btn').textContent = `Farm on Contour ($${this.game.getContourCost()})`;
+        document.getElementById('contour-btn').disabled = cell.contourFarming;
+        document.getElementById('hedgerow-btn').textContent = `Plant Hedgerow ($${this.game.getHedgerowCost()})`;
+        document.getElementById('hedgerow-btn').disabled = cell.hedgerow;
+
+        // Landscape features with today's price per plot, keeping the current choice
+        const featureSelect = document.getElementById('feature-select');
+        const selectedFeature = featureSelect.value || Object.keys(LANDSCAPE_FEATURES)[0];
+        featureSelect.innerHTML = Object.values(LANDSCAPE_FEATURES).map(feature => `
+            <option value="${feature.id}" ${feature.id === selectedFeature ? 'selected' : ''}>${feature.name} ($${this.game.getFeatureCost(feature)})</option>
+        `).join('');
+        document.getElementById('place-feature-btn').disabled = cell.crop.id !== 'empty' || !!cell.feature || cell.fallowAgreement;
+        document.getElementById('remove-feature-btn').disabled = !cell.feature;
+        document.getElementById('leach-btn').textContent = `Leach Salts ($${this.game.getLeachingCost()})`;
+        document.getElementById('terminate-btn').textContent = `Terminate Cover ($${this.game.getTerminationCost()})`;
+        document.getElementById('terminate-btn').disabled = !isCoverCrop(cell.crop);
+        document.getElementById('incorporate-btn').textContent = `Incorporate Cover ($${this.game.getTerminationCost(true)})`;
+        document.getElementById('incorporate-btn').disabled = !isCoverCrop(cell.crop);
+        const otherFallow = FALLOW_TYPES[cell.fallowType === 'bare' ? 'managed' : 'bare'];
+        document.getElementById('fallow-btn').textContent = `${otherFallow.name} ($${this.game.getFallowCost()})`;
+        document.getElementById('fallow-btn').disabled = cell.crop.id !== 'empty' || !!cell.feature;
+        const agreement = this.game.fallowingAgreement;
+        document.getElementById('enroll-fallow-btn').textContent = agreement
+            ? `Enroll in Fallowing ($${agreement.paymentPerPlot})`
+            : 'Enroll in Fallowing';
+        document.getElementById('enroll-fallow-btn').disabled = !agreement || this.game.absoluteDay > agreement.enrollUntil
+            || cell.crop.id !== 'empty' || cell.fallowAgreement || !!cell.feature;
+        document.getElementById('remove-btn').textContent = isPerennial(cell.crop)
+            ? `Remove ${cell.crop.name} ($${this.game.getRemovalCost(cell.crop)})`
+            : 'Remove Planting';
+        document.getElementById('remove-btn').disabled = !isPerennial(cell.crop);
+        document.getElementById('harvest-btn').textContent = hasMultiplePickings(cell.crop)
+            ? `Pick ($${this.game.getPickingCost(cell.crop)})`
+            : 'Harvest';
+        document.getElementById('harvest-btn').disabled = !cell.harvestReady || isCoverCrop(cell.crop);
 
         // Show the panel
         cellInfo.style.display = 'block';
@@ -248,16 +671,24 @@ export class UIManager {
         const cell = this.game.grid[row][col];
 
         let content = `
-            <div><strong>${cell.crop.name}</strong></div>
-            <div>Water: ${cell.waterLevel}%</div>
-            <div>Soil: ${cell.soilHealth}%</div>
+            <div><strong>${cell.feature ? getFeatureById(cell.feature).name : cell.crop.name}</strong></div>
+            <div>Water: ${Math.round(cell.waterLevel)}% (${Math.round(cell.soilMoisture)} mm)</div>
+            <div>Soil: ${Math.round(cell.soilHealth)}% (OM ${cell.organicMatter.toFixed(1)}%, EC ${cell.salinity.toFixed(1)} dS/m)</div>
+            <div>Land: ${SOIL_TYPES[cell.soilType].name}, ${cell.slope}% slope${cell.floodZone ? ', flood zone' : ''}</div>
         `;
+        if (cell.pestId) {
+            content += `<div>Pest: ${getPestById(cell.pestId).name} (${Math.round(cell.pestPressure)})</div>`;
+        }
 
         if (cell.crop.id !== 'empty') {
             content += `
+                <div>Stage: ${cell.stage.name}</div>
                 <div>Growth: ${Math.floor(cell.growthProgress)}%</div>
                 <div>Expected Yield: ${cell.expectedYield}%</div>
             `;
+            if (cell.harvestOverdue) {
+                content += `<div>Overdue: quality ${Math.round(cell.harvestQuality * 100)}%</div>`;
+            }
         }
 
         tooltip.innerHTML = content;
@@ -284,7 +715,7 @@ export class UIManager {
                 <div class="tech-item ${statusClass}" data-tech-id="${tech.id}">
                     <div class="tech-name">${tech.name} ${tech.researched ? '<span class="badge success">Researched</span>' : ''}</div>
                     <div class="tech-desc">${tech.description}</div>
-                    <div class="tech-cost">Cost: $${tech.cost}</div>
+                    <div class="tech-cost">Cost: $${this.game.getResearchCost(tech)}</div>
                     ${tech.prerequisites.length > 0 ? `<div class="tech-prereq">Prerequisites: ${tech.prerequisites.map(p => {
                         const prereqTech = this.game.technologies.find(t => t.id === p);
                         return prereqTech ? prereqTech.name : p;
@@ -310,16 +741,16 @@ export class UIManager {
         marketInfo.innerHTML = `
             <p>Current market prices (100% = base price):</p>
             <div class="market-prices">
-                ${crops.filter(c => c.id !== 'empty').map(crop => `
+                ${getCashCrops().map(crop => `
                     <div class="stat">
                         <span>${crop.name}:</span>
-                        <span class="stat-value">${Math.round(this.game.marketPrices[crop.id] * 100)}%</span>
+                        <span class="stat-value">${Math.round(this.game.getCropPrice(crop.id) * 100)}%</span>
                     </div>
                 `).join('')}
             </div>
             <p>Market trends for next season:</p>
             <div class="market-trends">
-                ${crops.filter(c => c.id !== 'empty').map(crop => {
+                ${getCashCrops().map(crop => {
                     const trend = Math.random() > 0.5 ? 'rising' : 'falling';
                     const trendClass = trend === 'rising' ? 'success' : 'danger';
                     return `
@@ -337,6 +768,50 @@ export class UIManager {
         document.getElementById('market-modal').style.display = 'flex';
     }
     
+    // Display save/load modal with the list of save slots
+    showSaveModal() {
+        const saveSlots = document.getElementById('save-slots');
+        const saves = this.game.listSaveSlots();
+
+        if (saves.length === 0) {
+            saveSlots.innerHTML = '<p>No saved games yet.</p>';
+        } else {
+            saveSlots.innerHTML = saves.map(save => `
+                <div class="save-slot">
+                    <div>
+                        <div><strong class="save-slot-name"></strong></div>
+                        <div class="save-slot-meta">
+                            ${save.season}, Year ${save.year} | $${save.balance} | ${new Date(save.savedAt).toLocaleString()}
+                        </div>
+                    </div>
+                    <div class="btn-group">
+                        <button class="btn load-slot-btn">Load</button>
+                        <button class="btn secondary delete-slot-btn">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        // Slot names are typed by the player, so they go in as text rather than markup.
+        // Add event listeners for load/delete
+        saveSlots.querySelectorAll('.save-slot').forEach((item, index) => {
+            const slotName = saves[index].slotName;
+            item.dataset.slot = slotName;
+            item.querySelector('.save-slot-name').textContent = slotName;
+            item.querySelector('.load-slot-btn').addEventListener('click', () => {
+                if (this.game.loadGame(slotName)) {
+                    document.getElementById('save-modal').style.display = 'none';
+                }
+            });
+            item.querySelector('.delete-slot-btn').addEventListener('click', () => {
+                this.game.deleteSaveSlot(slotName);
+                this.showSaveModal();
+            });
+        });
+
+        document.getElementById('save-modal').style.display = 'flex';
+    }
+
     // Update game HUD with current values
     updateHUD() {
         document.getElementById('balance').textContent = this.game.balance.toLocaleString();
@@ -346,10 +821,45 @@ export class UIManager {
         document.getElementById('date-display').textContent = `${this.game.season}, Year ${this.game.year}`;
         document.getElementById('year-display').textContent = this.game.year;
         document.getElementById('season-display').textContent = this.game.season;
+        document.getElementById('groundwater-nitrate').textContent = this.game.groundwaterNitrate.toFixed(1);
+        document.getElementById('chill-hours').textContent = Math.round(this.game.chillHours);
+        document.getElementById('temperature-display').textContent =
+            `${Math.round(this.game.weather.tMax)}°F / ${Math.round(this.game.weather.tMin)}°F`;
+        this.updateModifiersDisplay();
     
     }
 
-    
+
+    // List the active timed modifiers (water restrictions, market spikes, ...) in the HUD
+    updateModifiersDisplay() {
+        const container = document.getElementById('active-modifiers');
+        const modifiers = this.game.getActiveModifiers();
+
+        container.innerHTML = modifiers.map(modifier => {
+            const percent = Math.round((modifier.multiplier - 1) * 100);
+            const target = modifier.cropId ? `${modifier.target} (${modifier.cropId})` : modifier.target;
+            return `
+                <div class="modifier">
+                    <span>${modifier.label}: ${target} ${percent > 0 ? '+' : ''}${percent}%</span>
+                    <span class="badge ${modifier.daysLeft <= 5 ? 'warning' : ''}">${modifier.daysLeft}d</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Sync the pause button label with the simulation state
+    updatePauseButton() {
+        document.getElementById('pause-btn').textContent = this.game.paused ? 'Resume' : 'Pause';
+    }
+
+    // Redraw everything (e.g. after loading a saved game)
+    refresh() {
+        this.updateLegend();
+        this.updateHUD();
+        this.updateEventsList();
+        this.render();
+    }
+
     // Update events list display
     updateEventsList() {
         const eventsContainer = document.getElementById('events-container');
@@ -391,6 +901,65 @@ export class UIManager {
                         `;
                     }
                 });
+                Object.values(LANDSCAPE_FEATURES).forEach(feature => {
+                    legend.innerHTML += `
+                        <div class="legend-item">
+                            <div class="legend-color" style="background-color: ${feature.color}"></div>
+                            <span>${feature.name}</span>
+                        </div>
+                    `;
+                });
+                break;
+            case 'terrain':
+                legend.innerHTML += `
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: ${TERRAIN_COLORS.sand}"></div>
+                        <span>Sandy soils</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: ${TERRAIN_COLORS.loam}"></div>
+                        <span>Loams</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: ${TERRAIN_COLORS.clay}"></div>
+                        <span>Clays</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: ${TERRAIN_COLORS.floodZone}"></div>
+                        <span>Creek flood zone</span>
+                    </div>
+                    <div class="legend-item">
+                        <span>Numbers: slope (%)</span>
+                    </div>
+                `;
+                break;
+            case 'layout':
+                Object.values(LANDSCAPE_FEATURES).forEach(feature => {
+                    legend.innerHTML += `
+                        <div class="legend-item">
+                            <div class="legend-color" style="background-color: ${feature.color}"></div>
+                            <span>${feature.name}</span>
+                        </div>
+                    `;
+                });
+                legend.innerHTML += `
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #b9d7ea"></div>
+                        <span>Sheltered or shaded</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #f0d9f5"></div>
+                        <span>Pollinated</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #c8e6c9"></div>
+                        <span>Sheltered and pollinated</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #eeeeee"></div>
+                        <span>No neighbor effects</span>
+                    </div>
+                `;
                 break;
             case 'water':
                 legend.innerHTML += `
@@ -440,6 +1009,96 @@ export class UIManager {
                     </div>
                 `;
                 break;
+            case 'stage':
+                GROWTH_STAGES.forEach(stage => {
+                    legend.innerHTML += `
+                        <div class="legend-item">
+                            <div class="legend-color" style="background-color: ${stage.color}"></div>
+                            <span>${stage.name}</span>
+                        </div>
+                    `;
+                });
+                break;
+            case 'erosion':
+                legend.innerHTML += `
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #8fbf6f"></div>
+                        <span>Intact (&lt;5 t/ac lost)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #e6d36e"></div>
+                        <span>Slight (5-25 t/ac)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #e09a4f"></div>
+                        <span>Moderate (25-100 t/ac)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #b5523b"></div>
+                        <span>Severe (&gt;100 t/ac)</span>
+                    </div>
+                `;
+                break;
+            case 'salinity':
+                legend.innerHTML += `
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #8fbf6f"></div>
+                        <span>Non-saline (&lt;2 dS/m)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #e6d36e"></div>
+                        <span>Slight (2-4 dS/m)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #c9b79c"></div>
+                        <span>Moderate (4-8 dS/m)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #f2efe6"></div>
+                        <span>Strong (&gt;8 dS/m)</span>
+                    </div>
+                `;
+                break;
+            case 'pests':
+                legend.innerHTML += `
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #8fbf6f"></div>
+                        <span>Clean (&lt;10)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #e6d36e"></div>
+                        <span>Light (10-25)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #e09a4f"></div>
+                        <span>Moderate (25-50)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #c0392b"></div>
+                        <span>Severe (&gt;50)</span>
+                    </div>
+                `;
+                break;
+            case 'nitrogen':
+            case 'phosphorus':
+            case 'potassium': {
+                const overlay = NUTRIENT_OVERLAYS[this.game.currentOverlay];
+                legend.innerHTML += `
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #ffb366"></div>
+                        <span>Low ${overlay.name} (&lt;${overlay.low} lb/ac)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #d9d97a"></div>
+                        <span>Moderate (${overlay.low}-${overlay.adequate} lb/ac)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color" style="background-color: #5c9e5c"></div>
+                        <span>Adequate (&gt;${overlay.adequate} lb/ac)</span>
+                    </div>
+                `;
+                break;
+            }
         }
     }
     
@@ -477,8 +1136,27 @@ export class UIManager {
 
         switch (this.game.currentOverlay) {
             case 'crop':
-                fillColor = cell.crop.color;
+                fillColor = cell.feature ? getFeatureById(cell.feature).color : cell.crop.color;
+                break;
+            case 'terrain':
+                fillColor = cell.floodZone ? TERRAIN_COLORS.floodZone : TERRAIN_COLORS[SOIL_TYPES[cell.soilType].texture];
+                break;
+            case 'layout': {
+                const neighbor = getNeighborEffects(this.game.grid, row, col);
+                const sheltered = neighbor.etFactor < 1 || neighbor.heatProtection > 0;
+                if (cell.feature) {
+                    fillColor = getFeatureById(cell.feature).color;
+                } else if (sheltered && neighbor.pollination > 0) {
+                    fillColor = '#c8e6c9'; // Sheltered and pollinated - green
+                } else if (sheltered) {
+                    fillColor = '#b9d7ea'; // Sheltered or shaded - blue
+                } else if (neighbor.pollination > 0) {
+                    fillColor = '#f0d9f5'; // Pollinated - lilac
+                } else {
+                    fillColor = '#eeeeee'; // No neighbor effects - gray
+                }
                 break;
+            }
             case 'water':
                 if (cell.waterLevel < 33) {
                     fillColor = '#ff6666'; // Low water - red
@@ -508,6 +1186,56 @@ export class UIManager {
                     fillColor = '#aaffaa'; // High yield - light green
                 }
                 break;
+            case 'stage':
+                fillColor = cell.stage ? cell.stage.color : '#e9e9e9'; // Empty plot has no stage
+                break;
+            case 'erosion':
+                if (cell.topsoilLost < 5) {
+                    fillColor = '#8fbf6f'; // Intact - green
+                } else if (cell.topsoilLost < 25) {
+                    fillColor = '#e6d36e'; // Slight - yellow
+                } else if (cell.topsoilLost < 100) {
+                    fillColor = '#e09a4f'; // Moderate - orange
+                } else {
+                    fillColor = '#b5523b'; // Severe - red-brown
+                }
+                break;
+            case 'salinity':
+                if (cell.salinity < 2) {
+                    fillColor = '#8fbf6f'; // Non-saline - green
+                } else if (cell.salinity < 4) {
+                    fillColor = '#e6d36e'; // Slightly saline - yellow
+                } else if (cell.salinity < 8) {
+                    fillColor = '#c9b79c'; // Moderately saline - tan
+                } else {
+                    fillColor = '#f2efe6'; // Strongly saline - salt crust
+                }
+                break;
+            case 'pests':
+                if (cell.pestPressure < 10) {
+                    fillColor = '#8fbf6f'; // Clean - green
+                } else if (cell.pestPressure < 25) {
+                    fillColor = '#e6d36e'; // Light - yellow
+                } else if (cell.pestPressure < 50) {
+                    fillColor = '#e09a4f'; // Moderate - orange
+                } else {
+                    fillColor = '#c0392b'; // Severe - red
+                }
+                break;
+            case 'nitrogen':
+            case 'phosphorus':
+            case 'potassium': {
+                const overlay = NUTRIENT_OVERLAYS[this.game.currentOverlay];
+                const level = cell.nutrients[this.game.currentOverlay];
+                if (level < overlay.low) {
+                    fillColor = '#ffb366'; // Low - orange
+                } else if (level < overlay.adequate) {
+                    fillColor = '#d9d97a'; // Moderate - olive
+                } else {
+                    fillColor = '#5c9e5c'; // Adequate - green
+                }
+                break;
+            }
             default:
                 fillColor = cell.crop.color;
         }
@@ -526,6 +1254,22 @@ export class UIManager {
         }
         this.ctx.strokeRect(x, y, this.cellSize, this.cellSize);
 
+        // Hedgerows show as a dark green edge around the plot
+        if (cell.hedgerow) {
+            this.ctx.strokeStyle = '#2e6b2e';
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeRect(x + 2, y + 2, this.cellSize - 4, this.cellSize - 4);
+        }
+
+        // The terrain overlay labels each plot with its slope
+        if (this.game.currentOverlay === 'terrain') {
+            this.ctx.fillStyle = '#222';
+            this.ctx.font = `${this.cellSize * 0.22}px Arial`;
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'bottom';
+            this.ctx.fillText(`${cell.slope}`, x + 3, y + this.cellSize - 2);
+        }
+
         // Draw crop icon or symbol if not empty
         if (cell.crop.id !== 'empty') {
             // Simple crop representation
@@ -535,11 +1279,11 @@ export class UIManager {
             this.ctx.textBaseline = 'middle';
             this.ctx.fillText(cell.crop.id.charAt(0).toUpperCase(), x + this.cellSize / 2, y + this.cellSize / 2);
 
-            // Draw harvest indicator if ready
+            // Draw harvest indicator if ready (larger and red once the crop is losing quality)
             if (cell.harvestReady) {
-                this.ctx.fillStyle = '#f0f';
+                this.ctx.fillStyle = cell.harvestOverdue ? '#e00' : '#f0f';
                 this.ctx.beginPath();
-                this.ctx.arc(x + this.cellSize - 5, y + 5, 3, 0, Math.PI * 2);
+                this.ctx.arc(x + this.cellSize - 5, y + 5, cell.harvestOverdue ? 4 : 3, 0, Math.PI * 2);
                 this.ctx.fill();
             }
         }
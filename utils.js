@@ -111,6 +111,13 @@ export class Logger {
         return logEntry;
     }
     
+    // Log every in-game message published on a game's event bus; returns the unsubscribe function
+    subscribeTo(game) {
+        return game.on('messageLogged', ({ message, isAlert }) => {
+            this.log(message, isAlert ? 0 : 1);
+        });
+    }
+
     // Clear all logs
     clear() {
         this.logs = [];
@@ -0,0 +1,132 @@
+/**
+ * California Climate Farmer - Daily Weather
+ *
+ * This file contains the daily temperature model and Growing Degree Day (GDD)
+ * calculation. Each day gets a minimum and maximum temperature from a seasonal
+ * curve, the regional climate and random variation; heatwave and frost events
+ * push them to extremes. Crops accumulate GDD from these temperatures, and the
+ * reference evapotranspiration (ET0) that drives the soil water balance is
+ * estimated from them as well.
+ *
+ * Over winter, tree crops need chill: hours between freezing and 45°F that
+ * release their buds from dormancy. Chill is counted from the daily highs and
+ * lows, so a warming climate shows up as winters that fall short.
+ */
+
+// Days in the game year (4 seasons of 90 days, year starting in Spring)
+const DAYS_PER_YEAR = 360;
+
+// Day of the year with the warmest average temperature (late July)
+const WARMEST_DAY = 125;
+
+// Default temperature parameters for the regional climate (°F)
+export const DEFAULT_TEMPERATURE_CLIMATE = Object.freeze({
+    avgTemp: 75,              // Annual average daily high
+    seasonalTempSwing: 20,    // Mid-summer highs sit this far above the average, mid-winter highs this far below
+    diurnalTempRange: 24,     // Difference between the daily high and the overnight low
+    tempVariability: 6        // Typical day-to-day deviation from the seasonal curve
+});
+
+// Latitude of the farm (degrees north, San Joaquin Valley) for solar radiation
+export const FARM_LATITUDE = 36.7;
+
+// Game day 1 (start of Spring) falls on the March equinox, day 79 of the calendar year
+const CALENDAR_DAY_OF_SPRING = 79;
+
+// Standard upper cutoff for GDD: development does not speed up above this (°F)
+export const GDD_UPPER_CUTOFF = 86;
+
+// Expected daily high/low for a day of the year, without random variation
+export function getSeasonalTemperature(dayOfYear, climate) {
+    const seasonalOffset = Math.cos(2 * Math.PI * (dayOfYear - WARMEST_DAY) / DAYS_PER_YEAR);
+    const tMax = climate.avgTemp + climate.seasonalTempSwing * seasonalOffset;
+
+    return {
+        tMax,
+        tMin: tMax - climate.diurnalTempRange
+    };
+}
+
+// Expected weather (temperatures and reference ET) for a day of the year, without random variation
+export function getSeasonalWeather(dayOfYear, climate) {
+    const { tMin, tMax } = getSeasonalTemperature(dayOfYear, climate);
+    return { tMin, tMax, et0: calculateReferenceET(tMin, tMax, dayOfYear) };
+}
+
+// Generate today's weather. `activeEvents` are the events in progress today
+// (from the scheduler); heatwaves and frosts push temperatures to extremes.
+export function generateDailyWeather(dayOfYear, climate, activeEvents, rng) {
+    const expected = getSeasonalTemperature(dayOfYear, climate);
+
+    // Day-to-day variation of a few degrees (roughly bell shaped)
+    const variation = (rng.random() + rng.random() + rng.random() - 1.5) * climate.tempVariability;
+    let tMax = expected.tMax + variation;
+    let tMin = expected.tMin + variation * 0.7;
+
+    activeEvents.forEach(event => {
+        if (event.type === 'heatwave') {
+            tMax += 15;
+            tMin += 10;
+        } else if (event.type === 'frost') {
+            tMin = Math.min(tMin, 26 + rng.random() * 4);
+            tMax = Math.min(tMax, tMin + 20);
+        }
+    });
+
+    tMin = Math.round(tMin * 10) / 10;
+    tMax = Math.round(tMax * 10) / 10;
+    return {
+        tMin,
+        tMax,
+        et0: calculateReferenceET(tMin, tMax, dayOfYear)
+    };
+}
+
+// Daily reference evapotranspiration ET0 (mm/day) by the Hargreaves equation:
+// ET0 = 0.0023 * Ra * (Tmean + 17.8) * sqrt(Tmax - Tmin), temperatures in °C and
+// Ra the extraterrestrial radiation (FAO-56) expressed as mm/day of evaporation.
+export function calculateReferenceET(tMinF, tMaxF, dayOfYear, latitude = FARM_LATITUDE) {
+    const tMin = (tMinF - 32) * 5 / 9;
+    const tMax = (tMaxF - 32) * 5 / 9;
+    const tMean = (tMin + tMax) / 2;
+
+    // Calendar day (1-365) for this game day
+    const julianDay = ((CALENDAR_DAY_OF_SPRING + Math.round((dayOfYear - 1) * 365 / DAYS_PER_YEAR) - 1) % 365) + 1;
+
+    const phi = latitude * Math.PI / 180;
+    const inverseDistance = 1 + 0.033 * Math.cos(2 * Math.PI * julianDay / 365);
+    const declination = 0.409 * Math.sin(2 * Math.PI * julianDay / 365 - 1.39);
+    const sunsetAngle = Math.acos(-Math.tan(phi) * Math.tan(declination));
+    const ra = (24 * 60 / Math.PI) * 0.082 * inverseDistance * (
+        sunsetAngle * Math.sin(phi) * Math.sin(declination) +
+        Math.cos(phi) * Math.cos(declination) * Math.sin(sunsetAngle)
+    );
+
+    const et0 = 0.0023 * (ra * 0.408) * (tMean + 17.8) * Math.sqrt(Math.max(0, tMax - tMin));
+    return Math.round(Math.max(0, et0) * 100) / 100;
+}
+
+// Chill is counted from November 1 (game day 227) to the end of winter
+export const CHILL_SEASON_START = 227;
+
+// Temperatures (°F) between which an hour counts as a chill hour
+export const CHILL_MIN_TEMP = 32;
+export const CHILL_MAX_TEMP = 45;
+
+// Hours of the day spent between the chill temperatures, taking the temperature
+// to move linearly between the overnight low and the afternoon high
+export function calculateChillHours(tMin, tMax) {
+    if (tMax <= tMin) {
+        return tMin >= CHILL_MIN_TEMP && tMin <= CHILL_MAX_TEMP ? 24 : 0;
+    }
+    const overlap = Math.min(tMax, CHILL_MAX_TEMP) - Math.max(tMin, CHILL_MIN_TEMP);
+    return Math.max(0, 24 * overlap / (tMax - tMin));
+}
+
+// Daily Growing Degree Days: max(((Tmax + Tmin) / 2) - Tbase, 0),
+// with temperatures clamped to [Tbase, upper cutoff] (modified average method)
+export function calculateGDD(tMin, tMax, baseTemp, upperCutoff = GDD_UPPER_CUTOFF) {
+    const clampedMax = Math.min(Math.max(tMax, baseTemp), upperCutoff);
+    const clampedMin = Math.min(Math.max(tMin, baseTemp), upperCutoff);
+    return Math.max(0, (clampedMax + clampedMin) / 2 - baseTemp);
+}